@@ -0,0 +1,67 @@
+/**
+ * NodeJS Differential Testing Module
+ *
+ * Runs the generated inputs against two implementations of the same module
+ * and reports every call where they behave differently.
+ * Usage: node differential.js [subject.js] [mystery.js] [--both]
+ */
+
+
+// Core/NPM Modules
+const path    = require('path');
+
+
+// Local Modules
+const differentialTest = require('./src/differential');
+
+
+// Polyfills
+require('./src/format-polyfill');
+
+
+
+/**
+ * Compare the two modules and print each differing call.
+ */
+function main() {
+
+    // Parse flags: --both extracts constraints from both modules instead of only the first.
+    let args = process.argv.slice(2);
+    let both = args.indexOf('--both') !== -1;
+    args = args.filter(arg => arg !== '--both');
+
+    // Parse file inputs, defaulting to subject.js and mystery.js if not provided
+    let leftPath  = path.resolve(args[0] || "subject.js");
+    let rightPath = path.resolve(args[1] || "mystery.js");
+    let leftName  = path.basename(leftPath);
+    let rightName = path.basename(rightPath);
+
+    let report = differentialTest(leftPath, rightPath, { both: both });
+
+    for (let difference of report.differences) {
+        console.log("{0}({1})".format(difference.funcName, difference.args));
+        if( difference.setup ) {
+            console.log("    after: {0}".format(difference.setup.join(' ')));
+        }
+        if( difference.mockSetup ) {
+            console.log("    mock-fs: mock({0})".format(difference.mockSetup));
+        }
+        console.log("    {0}: {1}".format(leftName,  differentialTest.describeOutcome(difference.left)));
+        console.log("    {0}: {1}".format(rightName, differentialTest.describeOutcome(difference.right)));
+    }
+
+    console.log("{0} of {1} calls differ between {2} and {3}".format(
+        report.differences.length, report.cases, leftName, rightName));
+
+    // Differences make the command fail, so it can gate a build.
+    if( report.differences.length > 0 ) {
+        process.exitCode = 1;
+    }
+}
+
+
+module.exports.main = main;
+
+if( require.main === module ) {
+    main();
+}
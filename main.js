@@ -1,38 +1,342 @@
 /**
  * NodeJS Test Generation Module
+ *
+ * Extracts constraints from a module and generates tests from them, in-process through
+ * `extractConstraints`, `generateTests` and `writeTests`, or from the command line.
+ * Usage: node main.js [options] [subject.js]
  */
 
 
 // Core/NPM Modules
+const fs      = require('fs');
 const path    = require('path');
+const _       = require('lodash');
 
 
 // Local Modules
 const constraints       = require('./src/constraint');
+const random            = require('./src/random');
+const templates         = require('./src/templates');
 const generateTestCases = require('./src/testgenerator');
 
 
-// Polyfills
-require('./src/format-polyfill');
 
+// Path of the module and seed each constraints object was extracted with.
+const extractions = new WeakMap();
+
+// Output formats of the generated test file.
+const formats = _.keys(templates);
+
+const usage = `Usage: node main.js [options] [subject.js]
+
+Options:
+  --out <file>                    Write the tests to <file> instead of test.js
+  --functions <a,b>               Only test the named functions
+  --exclude <a,b>                 Do not test the named functions
+  --seed <n>                      Seed the random choices, to generate the same tests again
+  --max-cases-per-function <n>    Generate at most <n> tests for each function
+  --format <mocha|jest|node|plain>
+                                  Write a mocha, Jest or node:test suite, or a plain script (default)
+  --dry-run                       Print the generated tests instead of writing them
+  --dump-constraints              Print the constraints found for each parameter as JSON
+  --snapshot                      Assert on the subject's current return values and errors
+  --concolic                      Grow the tests by concolic exploration
+  --coverage                      Grow the tests under branch coverage feedback
+  --help                          Show this help`;
+
+
+/**
+ * Find the constraints of each function of a module.
+ *
+ * @param   {String} input              Source code of the module, or the path of its file: a single line naming
+ *                                      an existing file, or ending in `.js`.
+ * @param   {Object} [options]          Options.
+ * @param   {String} [options.filePath] Path of the module the source is of, for tests generated from the constraints
+ *                                      to require and, in snapshot mode, run.
+ * @param   {Number} [options.seed]     Seed of the random choices, as the strings drawn for regular expressions, a new
+ *                                      random one by default.
+ * @returns {Object}                    Constraints object as returned by `constraints`.
+ * @throws  {Error}                     When the file is missing or the source does not parse, saying so.
+ */
+function extractConstraints(input, options = {}) {
+
+    let isPath = !/[\r\n]/.test(input) && (/\.[cm]?js$/.test(input) || isFile(input));
+    let filePath = isPath ? path.resolve(input) : (options.filePath ? path.resolve(options.filePath) : null);
+
+    let seed = random.seed(options.seed);
+
+    let functionConstraints;
+    try {
+        functionConstraints = isPath ? constraints(filePath) : constraints(filePath, input);
+    }
+    catch (e) {
+        throw new Error(inputError(filePath || 'source', e));
+    }
+    extractions.set(functionConstraints, { filePath: filePath, seed: seed });
+    return functionConstraints;
+}
+
+
+/**
+ * Generate the source of a test file from the constraints of a module's functions.
+ *
+ * Nothing is written. In snapshot mode, and for functions with throw statements to check
+ * which errors they throw, the subject module is loaded and its synchronous functions run,
+ * always on a mock file system, empty unless the call needs files.
+ *
+ * @param   {Object} functionConstraints Constraints object as returned by `extractConstraints`.
+ * @param   {Object} [options]           Generation options, see `generateTestCases`, with the `filePath` of the
+ *                                       module; both it and the `seed` default to the ones the constraints were
+ *                                       extracted with, so that the seed recorded in the file reproduces it. Pass
+ *                                       the path the file is to be written to as `out` for the subject to be
+ *                                       required relative to it.
+ * @returns {String}                     Source of the test file.
+ */
+function generateTests(functionConstraints, options = {}) {
+    let extraction = extractions.get(functionConstraints) || {};
+    let filePath = options.filePath ? path.resolve(options.filePath) : extraction.filePath;
+    if( !filePath ) {
+        throw new Error('the path of the module under test is unknown: pass it as options.filePath');
+    }
+    let seed = options.seed !== undefined ? options.seed : extraction.seed;
+    return generateTestCases(filePath, functionConstraints, _.assign({}, options, { seed: seed })).source;
+}
+
+
+/**
+ * Write a generated test file.
+ *
+ * @param   {String} source    Source of the test file, as returned by `generateTests`.
+ * @param   {String} [outPath] Path to write it to, `test.js` by default.
+ * @returns {String}           Absolute path written to.
+ */
+function writeTests(source, outPath = 'test.js') {
+    let target = path.resolve(outPath);
+    fs.writeFileSync(target, source, "utf8");
+    return target;
+}
 
 
 /**
  * Parse an input file and generate test cases for it.
+ *
+ * @param {String[]} [args] Command line arguments, those of the process by default.
  */
-(module.exports.main = function() {
+function main(args = process.argv.slice(2)) {
+
+    let options;
+    try {
+        options = parseArguments(args);
+    }
+    catch (e) {
+        console.error(`Error: ${e.message}\n\n${usage}`);
+        process.exitCode = 1;
+        return;
+    }
+    if( options.help ) {
+        console.log(usage);
+        return;
+    }
+
+    // Initialize constraints based on input file, with the seed generation uses too
+    options.seed = random.seed(options.seed);
+    let functionConstraints;
+    try {
+        functionConstraints = extractConstraints(options.filePath, { seed: options.seed });
+    }
+    catch (e) {
+        console.error(`Error: ${e.message}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    // Function names asked for must be in the file.
+    let unknown = _.difference((options.functions || []).concat(options.exclude || []), _.keys(functionConstraints));
+    if( unknown.length ) {
+        console.error(`Error: no function named ${unknown.join(', ')} in ${options.filePath}; found ${_.keys(functionConstraints).join(', ')}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    // Print the constraints of the functions asked for, instead of generating tests.
+    if( options.dumpConstraints ) {
+        let dumped = _.pickBy(functionConstraints, (entry, funcName) =>
+            (!options.functions || _.includes(options.functions, funcName)) && !_.includes(options.exclude, funcName));
+        console.log(JSON.stringify(_.mapValues(dumped, entry => entry.constraints), null, 2));
+        return;
+    }
+
+    // Generate test cases, and print or write them.
+    let report;
+    try {
+        report = generateTestCases(options.filePath, functionConstraints, options);
+    }
+    catch (e) {
+        console.error(`Error: ${e.message}`);
+        process.exitCode = 1;
+        return;
+    }
+    if( options.dryRun ) {
+        console.log(report.source);
+    }
+    else {
+        try {
+            writeTests(report.source, options.out);
+        }
+        catch (e) {
+            console.error(`Error: cannot write ${options.out || path.resolve('test.js')}: ${e.message}`);
+            process.exitCode = 1;
+            return;
+        }
+    }
+
+    // What may make generating again with the same seed give other tests.
+    for (let warning of report.warnings) {
+        console.error(`Warning: ${warning}`);
+    }
+
+    // Summarize branch coverage, with the reason each uncovered branch was missed; on a
+    // dry run to stderr, leaving only the test file on stdout.
+    let log = options.dryRun ? console.error : console.log;
+    let coverageReport = report.coverage;
+    if( coverageReport ) {
+        let percent = coverageReport.total ? (100 * coverageReport.covered / coverageReport.total).toFixed(1) : '100.0';
+        log(`Branch coverage: ${coverageReport.covered}/${coverageReport.total} (${percent}%)`);
+        for (let branch of coverageReport.uncovered) {
+            let arm = branch.outcome === null ? '' : (branch.outcome ? ' (true)' : ' (false)');
+            log(`    line ${branch.line}: ${branch.expression || branch.type}${arm}: ${branch.reason}`);
+        }
+    }
+
+    // List the errors no throw statement accounts for.
+    if( report.bugs.length ) {
+        log(`Probable bugs: ${report.bugs.length}`);
+        for (let bug of report.bugs) {
+            log(`    ${bug.call}: ${bug.error.name || 'thrown'}: ${bug.error.message}`);
+        }
+    }
+}
+
+
+/**
+ * Parse the command line arguments into generation options.
+ *
+ * @param   {String[]} args Arguments, without the node executable and script.
+ * @returns {Object}        Options for `generateTestCases`, with the input `filePath`, defaulting to subject.js,
+ *                          and the `help` and `dumpConstraints` flags.
+ */
+function parseArguments(args) {
+
+    let options = { format: 'plain' };
+    let files = [];
+    let flags = {
+        '--snapshot': 'snapshot', '--concolic': 'concolic', '--coverage': 'coverage',
+        '--dry-run': 'dryRun', '--dump-constraints': 'dumpConstraints', '--help': 'help'
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        let [name, inline] = _.startsWith(args[i], '--') ? args[i].split(/=(.*)/) : [args[i]];
+
+        // The value of an option, given as `--name value` or `--name=value`.
+        let value = () => {
+            if( inline !== undefined ) {
+                return inline;
+            }
+            if( i + 1 >= args.length || _.startsWith(args[i + 1], '--') ) {
+                throw new Error(`${name} needs a value`);
+            }
+            return args[++i];
+        };
+        let count = () => {
+            let text = value();
+            if( !/^\d+$/.test(text) ) {
+                throw new Error(`${name} needs a non-negative integer, got '${text}'`);
+            }
+            return Number(text);
+        };
+        let names = () => _.compact(_.map(value().split(','), _.trim));
+
+        if( flags.hasOwnProperty(name) ) {
+            options[flags[name]] = true;
+        }
+        else if( name === '--out' ) {
+            options.out = path.resolve(value());
+        }
+        else if( name === '--functions' ) {
+            options.functions = names();
+        }
+        else if( name === '--exclude' ) {
+            options.exclude = names();
+        }
+        else if( name === '--seed' ) {
+            options.seed = count();
+        }
+        else if( name === '--max-cases-per-function' ) {
+            options.maxCasesPerFunction = count();
+        }
+        else if( name === '--format' ) {
+            options.format = value();
+            if( !_.includes(formats, options.format) ) {
+                throw new Error(`unknown format '${options.format}', expected one of ${formats.join(', ')}`);
+            }
+        }
+        else if( _.startsWith(name, '--') ) {
+            throw new Error(`unknown option ${name}`);
+        }
+        else {
+            files.push(name);
+        }
+    }
 
     // Parse file input, defaulting to subject.js if not provided
-    let args = process.argv.slice(2);
-    if( args.length === 0 ) {
-        args = ["subject.js"];
+    if( files.length > 1 ) {
+        throw new Error(`expected one input file, got ${files.join(', ')}`);
+    }
+    options.filePath = path.resolve(files[0] || "subject.js");
+    return options;
+}
+
+
+/**
+ * Explain why an input file could not be read or parsed.
+ *
+ * @param   {String} filePath Path of the input file.
+ * @param   {Error}  error    Error reading or parsing it.
+ * @returns {String}          Message.
+ */
+function inputError(filePath, error) {
+    if( error.code === 'ENOENT' ) {
+        return `input file ${filePath} does not exist`;
+    }
+    if( error.code === 'EISDIR' ) {
+        return `input file ${filePath} is a directory`;
+    }
+    if( error.lineNumber !== undefined ) {
+        return `cannot parse ${filePath}: line ${error.lineNumber}, column ${error.column}: ${error.description}`;
+    }
+    return `cannot read ${filePath}: ${error.message}`;
+}
+
+
+/**
+ * Whether a path names an existing file.
+ */
+function isFile(filePath) {
+    try {
+        return fs.statSync(filePath).isFile();
+    }
+    catch (e) {
+        return false;
     }
-    let filePath = path.resolve(args[0]);
+}
 
-    // Initialize constraints based on input file
-    let functionConstraints = constraints(filePath);
 
-    // Generate test cases
-    generateTestCases(filePath, functionConstraints);
+// Export
+module.exports.extractConstraints = extractConstraints;
+module.exports.generateTests      = generateTests;
+module.exports.writeTests         = writeTests;
+module.exports.main               = main;
 
-})();
\ No newline at end of file
+if( require.main === module ) {
+    main();
+}
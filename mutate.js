@@ -0,0 +1,54 @@
+/**
+ * NodeJS Mutation Testing Module
+ *
+ * Scores a generated test file by how many mutants of the subject it kills.
+ * Usage: node mutate.js [subject.js] [test.js]
+ */
+
+
+// Core/NPM Modules
+const path    = require('path');
+const _       = require('lodash');
+
+
+// Local Modules
+const mutation = require('./src/mutation');
+
+
+// Polyfills
+require('./src/format-polyfill');
+
+
+
+/**
+ * Run the test file against every mutant of the subject and print the report.
+ */
+function main() {
+
+    // Parse file inputs, defaulting to subject.js and test.js if not provided
+    let args = process.argv.slice(2);
+    let filePath = path.resolve(args[0] || "subject.js");
+    let testPath = path.resolve(args[1] || "test.js");
+
+    let report = mutation.runMutants(filePath, testPath);
+
+    // Killed and surviving mutants per function
+    for (let funcName in report.functions) {
+        let entry = report.functions[funcName];
+        let total = entry.killed.length + entry.survived.length;
+        console.log("{0}: killed {1}/{2}".format(funcName, entry.killed.length, total));
+        for (let mutant of entry.survived) {
+            console.log("  survived #{0} line {1} ({2}): {3}  ->  {4}".format(
+                mutant.id, mutant.line, mutant.operator, mutant.original, mutant.replacement));
+        }
+    }
+
+    console.log("Mutation score: {0}/{1} ({2}%)".format(report.killed, report.total, _.round(report.score * 100, 1)));
+}
+
+
+module.exports.main = main;
+
+if( require.main === module ) {
+    main();
+}
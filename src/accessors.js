@@ -0,0 +1,199 @@
+// Core/NPM Modules
+const _       = require('lodash');
+
+
+
+// Node types of functions.
+const functionTypes = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'];
+
+
+/**
+ * Find the functions a module exports, and how each one is reached from its exports.
+ *
+ * Follows `module.exports = ...`, `module.exports.name = ...` and `exports.name = ...`
+ * to function declarations, function expressions and arrow functions, object literals
+ * and their methods, and classes. Module-level bindings are resolved through their
+ * names, along with properties assigned to them later, as in `obj.method = function...`
+ * or `Klass.prototype.method = function...`. Static class methods are reached through the
+ * class, instance methods through a new instance: `new subject.Klass().method`. Constructors,
+ * and functions with methods on their prototype, are reached as `new subject.Klass`.
+ *
+ * @param   {Object}   program Esprima program node.
+ * @returns {Object[]}         Exported functions: `{ node, name, accessor, owner }`, where `accessor` is the expression
+ *                             reaching the function from the loaded module `subject`, `name` its path below the
+ *                             module, e.g. `obj.method` or `Klass.prototype.method`, and `owner` for instance methods
+ *                             the class: `{ name, accessor }`, e.g. `{ name: 'Klass', accessor: 'subject.Klass' }`.
+ *                             Each function appears once.
+ */
+function accessors(program) {
+
+    // Module-level bindings, the properties assigned to them, and the values exported.
+    let bindings = {};
+    let assigned = {};
+    let exported = [];
+
+    for (let statement of program.body) {
+        if( _.includes(['FunctionDeclaration', 'ClassDeclaration'], statement.type) && statement.id ) {
+            bindings[statement.id.name] = statement;
+        }
+        if( statement.type === 'VariableDeclaration' ) {
+            for (let declaration of statement.declarations) {
+                if( declaration.id.type === 'Identifier' && declaration.init ) {
+                    bindings[declaration.id.name] = declaration.init;
+                }
+            }
+        }
+        if( statement.type === 'ExpressionStatement' ) {
+            for (let assignment of assignments(statement.expression)) {
+                let target = memberPath(assignment.left);
+                if( !target ) {
+                    continue;
+                }
+                if( target[0] === 'module' && target[1] === 'exports' ) {
+                    exported.push({ path: target.slice(2), value: assignment.right });
+                }
+                else if( target[0] === 'exports' ) {
+                    exported.push({ path: target.slice(1), value: assignment.right });
+                }
+                else if( target.length > 1 ) {
+                    assigned[target[0]] = assigned[target[0]] || [];
+                    assigned[target[0]].push({ path: target.slice(1), value: assignment.right });
+                }
+            }
+        }
+    }
+
+    let found = [];
+    let seen = [];
+
+    // Record the functions a value holds, under the accessor and name reaching it.
+    let reach = (value, accessor, name, owner) => {
+        if( !value || _.includes(seen, value) ) {
+            return;
+        }
+
+        if( value.type === 'Identifier' && bindings.hasOwnProperty(value.name) ) {
+            let binding = bindings[value.name];
+            let constructs = _.includes(functionTypes, binding.type) && _.some(assigned[value.name], p => p.path[0] === 'prototype');
+            reach(binding, constructs ? `new ${accessor}` : accessor, name);
+            for (let property of assigned[value.name] || []) {
+                reachProperty(property, accessor, name);
+            }
+            return;
+        }
+
+        seen.push(value);
+
+        if( _.includes(functionTypes, value.type) ) {
+            found.push({ node: value, name: name || 'module.exports', accessor: accessor, owner: owner || null });
+            return;
+        }
+
+        if( value.type === 'ObjectExpression' ) {
+            for (let property of value.properties) {
+                let key = propertyKey(property);
+                if( key !== null && property.kind === 'init' ) {
+                    reach(property.value, accessor + propertyAccess(key), join(name, key));
+                }
+            }
+        }
+
+        if( _.includes(['ClassDeclaration', 'ClassExpression'], value.type) ) {
+            let owner = { name: name || 'module.exports', accessor: accessor };
+            for (let method of value.body.body) {
+                let key = propertyKey(method);
+                if( method.kind === 'constructor' ) {
+                    reach(method.value, `new ${accessor}`, owner.name);
+                }
+                if( key === null || method.kind !== 'method' ) {
+                    continue;
+                }
+                if( method.static ) {
+                    reach(method.value, accessor + propertyAccess(key), join(name, key));
+                }
+                else {
+                    reach(method.value, `new ${accessor}()${propertyAccess(key)}`, join(join(name, 'prototype'), key), owner);
+                }
+            }
+        }
+    };
+
+    // Properties assigned below a value: instance methods through `prototype`, others as they are.
+    let reachProperty = (property, accessor, name) => {
+        let path = property.path;
+        if( path[0] === 'prototype' && path.length === 2 ) {
+            let owner = { name: name || 'module.exports', accessor: accessor };
+            reach(property.value, `new ${accessor}()${propertyAccess(path[1])}`, join(join(name, 'prototype'), path[1]), owner);
+        }
+        else if( path[0] !== 'prototype' ) {
+            reach(property.value, accessor + _.map(path, propertyAccess).join(''), _.reduce(path, join, name));
+        }
+    };
+
+    // Whole-module exports first, so properties added to them are reached through them.
+    for (let entry of _.sortBy(exported, e => e.path.length)) {
+        reachProperty({ path: entry.path, value: entry.value }, 'subject', '');
+    }
+
+    return found;
+}
+
+
+/**
+ * Assignments in an expression statement, including chains: `module.exports = exports = ...`.
+ */
+function assignments(expression) {
+    if( expression.type !== 'AssignmentExpression' || expression.operator !== '=' ) {
+        return [];
+    }
+    let nested = assignments(expression.right);
+    let value = nested.length ? _.last(nested).right : expression.right;
+    return [{ left: expression.left, right: value }].concat(nested);
+}
+
+
+/**
+ * Names along a non-computed member expression, e.g. `['module', 'exports', 'foo']`, or null.
+ */
+function memberPath(node) {
+    if( node.type === 'Identifier' ) {
+        return [node.name];
+    }
+    if( node.type === 'MemberExpression' ) {
+        let object = memberPath(node.object);
+        let key = node.computed ? (node.property.type === 'Literal' ? String(node.property.value) : null) : node.property.name;
+        return object && key !== null ? object.concat([key]) : null;
+    }
+    return null;
+}
+
+
+/**
+ * Key of an object property or class method, or null when it is computed.
+ */
+function propertyKey(property) {
+    if( property.computed || !property.key ) {
+        return null;
+    }
+    return property.key.type === 'Identifier' ? property.key.name : String(property.key.value);
+}
+
+
+/**
+ * Source accessing a property: `.name`, or `["some name"]` when it is not an identifier.
+ */
+function propertyAccess(key) {
+    return /^[A-Za-z_$][\w$]*$/.test(key) ? `.${key}` : `[${JSON.stringify(key)}]`;
+}
+
+
+/**
+ * Join a name and a key into a dotted path.
+ */
+function join(name, key) {
+    return name ? `${name}.${key}` : key;
+}
+
+
+// Export
+module.exports = accessors;
@@ -0,0 +1,98 @@
+// Core/NPM Modules
+const _       = require('lodash');
+
+
+// Local Modules
+const dataflow = require('./dataflow');
+const oracle   = require('./oracle');
+
+
+
+// Upper bound on the rounds constraints are propagated from callees to callers, for recursion.
+const maxRounds = 10;
+
+
+/**
+ * Find the calls a function makes to functions of its own module, by the name they are bound to.
+ *
+ * @param   {Object}   funcNode Esprima function node.
+ * @param   {Object}   bindings Names of the module's functions, by the name they are called with.
+ * @returns {Object[]}          Call sites: `{ callee, node }`, with `callee` the callee's name and `node` the call.
+ */
+function callSites(funcNode, bindings) {
+    let sites = [];
+    dataflow.walk(funcNode.body, node => {
+        if( node.type === 'CallExpression' && node.callee.type === 'Identifier' && bindings.hasOwnProperty(node.callee.name) ) {
+            sites.push({ callee: bindings[node.callee.name], node: node });
+        }
+    });
+    return sites;
+}
+
+
+/**
+ * Propagate constraints from callees to their callers: a value found for a callee's
+ * parameter is also a value for the caller's parameter the call site passes on to it,
+ * undoing the string operations in between, as in `format(phoneNumber.trim())`. Values
+ * travel down call chains, `blackListNumber` getting the values `normalize` needs
+ * through `format`, until no new value is found.
+ *
+ * @param {Object}   functionConstraints Constraints object as returned by `constraints`, extended in place.
+ * @param {Object[]} sites               Call sites: `{ caller, callee, node, definitions }`, with `definitions` the
+ *                                       caller's local variable definitions, as returned by `dataflow.definitions`.
+ */
+function propagate(functionConstraints, sites) {
+
+    for (let round = 0; round < maxRounds; round++) {
+        let added = 0;
+        for (let { caller, callee, node, definitions } of sites) {
+            let from = functionConstraints[callee];
+            let to = functionConstraints[caller];
+
+            _.forEach(node.arguments, (arg, i) => {
+                let param = from.params[i];
+                let traced = param ? dataflow.trace(arg, definitions, to.params) : null;
+                if( !traced ) {
+                    return;
+                }
+                let existing = to.constraints[traced.ident];
+                for (let constraint of from.constraints[param]) {
+                    for (let value of callerValues(constraint.value, traced.steps)) {
+                        if( !_.some(existing, { value: value }) ) {
+                            existing.push(_.assign(_.clone(constraint), { ident: traced.ident, value: value, funcName: caller, via: constraint.via || callee }));
+                            added++;
+                        }
+                    }
+                }
+            });
+        }
+        if( added === 0 ) {
+            break;
+        }
+    }
+}
+
+
+/**
+ * Values for a caller's parameter which give a callee's parameter value after the
+ * operations between them: the same value when there are none, the strings the operations
+ * turn into it otherwise.
+ */
+function callerValues(value, steps) {
+    if( !steps.length ) {
+        return [value];
+    }
+    let values;
+    try {
+        values = oracle.argumentValues(String(value));
+    }
+    catch (e) {
+        return [];
+    }
+    return values.length === 1 && typeof values[0] === 'string' ? _.map(dataflow.preimages(steps, values[0]), v => oracle.serialize(v)) : [];
+}
+
+
+// Export
+module.exports.callSites = callSites;
+module.exports.propagate = propagate;
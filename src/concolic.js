@@ -0,0 +1,321 @@
+// Core/NPM Modules
+const fs      = require('fs');
+const Module  = require('module');
+const path    = require('path');
+const _       = require('lodash');
+
+
+// Local Modules
+const constraints = require('./constraint');
+const oracle      = require('./oracle');
+const solver      = require('./solver');
+
+
+
+// Comparison operators recorded with both operand values.
+const comparisons = ['<', '<=', '>', '>=', '==', '!=', '===', '!=='];
+
+// Milliseconds after which exploration stops: by default, and when seeded, where the runs
+// alone bound it and this only stops a subject too slow to finish.
+const defaultTime = 10000;
+const seededTime  = 60000;
+
+
+/**
+ * Explore a module concolically: run each function on concrete seed inputs
+ * with its branch conditions instrumented, record the conditions each run
+ * actually evaluates and their operand values, then negate them one at a time
+ * to derive new inputs, until every recorded branch outcome is covered or the
+ * budget runs out.
+ *
+ * New inputs are derived from the concrete operand values, which reach further
+ * than the static constraints: when an operand equals an argument, or is a
+ * substring of a string argument, that part of the argument is replaced by a
+ * value which flips the comparison. This is how `area == "212"` in a function
+ * computing `area` from a formatted phone number is reached.
+ *
+ * With a seed, the runs alone bound exploration, so that the same seed explores the same
+ * inputs; the time budget is then only a safety limit, reported when it is hit.
+ *
+ * @param   {String}   filePath             Path of the module under test.
+ * @param   {Object}   functionConstraints  Constraints object as returned by `constraints`.
+ * @param   {Object[]} seeds                Seed test cases, as returned by `generateCases`.
+ * @param   {Object}   [options]            Exploration budget.
+ * @param   {Number}   [options.iterations] Most runs per function, 200 by default.
+ * @param   {Number}   [options.time]       Most milliseconds for the whole exploration, 10000 by default,
+ *                                          60000 with a seed.
+ * @param   {Number}   [options.seed]       Seed of the generation, making the runs the only bound.
+ * @returns {Object}                        `{ cases, timedOut }`: the test cases which each cover a branch
+ *                                          outcome no earlier case did, in the format of `generateCases`, and
+ *                                          whether the time budget cut exploration short.
+ */
+function explore(filePath, functionConstraints, seeds, options = {}) {
+
+    let iterations = options.iterations || 200;
+    let deadline   = Date.now() + (options.time || (options.seed === undefined ? defaultTime : seededTime));
+    let timedOut   = false;
+
+    let buf = fs.readFileSync(filePath, "utf8");
+    let { source, atoms } = instrument(buf);
+    let recorder = { trace: [] };
+    let subject = load(filePath, source, recorder);
+
+    let covered = {};
+    let cases = [];
+
+    for (let funcName in functionConstraints) {
+
+        let { params, loc, accessor } = functionConstraints[funcName];
+        let queue = _.map(_.filter(seeds, { funcName: funcName }), seed => _.defaults({}, seed, { accessor: accessor }));
+        let seen = {};
+        let runs = 0;
+        let kept = 0;
+
+        while( queue.length && runs < iterations ) {
+            if( Date.now() >= deadline ) {
+                timedOut = true;
+                break;
+            }
+            let testCase = queue.shift();
+            let key = `${testCase.setup} ${testCase.mockSetup} ${testCase.args}`;
+            if( seen[key] ) {
+                continue;
+            }
+            seen[key] = true;
+
+            // Run the input, recording the trace of evaluated conditions.
+            recorder.trace = [];
+            oracle.observe(subject, testCase.accessor, testCase.args, testCase.mockSetup, testCase.setup);
+            let trace = recorder.trace;
+            runs++;
+
+            // Keep inputs reaching new branch outcomes, and one per function in any case.
+            let fresh = _.filter(trace, step => !covered[`${step.id}:${step.outcome}`]);
+            _.forEach(trace, step => { covered[`${step.id}:${step.outcome}`] = true; });
+            if( fresh.length || kept === 0 ) {
+                cases.push(testCase);
+                kept++;
+            }
+
+            // Negate each condition not yet covered the other way.
+            let values = oracle.argumentValues(testCase.args);
+            for (let step of trace) {
+                if( covered[`${step.id}:${!step.outcome}`] ) {
+                    continue;
+                }
+                for (let flipped of negate(step, atoms[step.id], loc, params, values)) {
+                    let args = _.map(flipped, v => oracle.serialize(v));
+                    if( !_.includes(args, null) ) {
+                        queue.push(_.assign({}, testCase, { args: args.join(', ') }));
+                    }
+                }
+            }
+        }
+    }
+
+    return { cases: cases, timedOut: timedOut };
+}
+
+
+/**
+ * Instrument every atomic branch condition of a module: comparisons report both
+ * operands and their result, other conditions their truth value.
+ *
+ * @param   {String} buf Source code.
+ * @returns {Object}     `{ source, atoms }`: the instrumented source, and the conditions by id,
+ *                       each `{ id, expression, line, funcLoc, params, node }`, with `funcLoc` the location
+ *                       of the enclosing function.
+ */
+function instrument(buf) {
+
+    let result = constraints.parse(buf);
+    let atoms = [];
+
+    // Collect the atoms of the branch tests, with the function each one is in.
+    let functions = [];
+    constraints.traverse(result, function (node) {
+        if( _.includes(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'], node.type) ) {
+            functions.push(node);
+        }
+    });
+    let enclosing = (node) => _.last(_.sortBy(_.filter(functions, f => f.range[0] <= node.range[0] && node.range[1] <= f.range[1]),
+                                              f => f.range[0]));
+
+    let collect = (test) => {
+        if( test.type === 'UnaryExpression' && test.operator === '!' ) return collect(test.argument);
+        if( test.type === 'LogicalExpression' ) return collect(test.left).concat(collect(test.right));
+        return [test];
+    };
+
+    constraints.traverse(result, function (node) {
+        if( _.includes(['IfStatement', 'ConditionalExpression', 'WhileStatement', 'DoWhileStatement', 'ForStatement'], node.type) && node.test ) {
+            for (let atom of collect(node.test)) {
+                let func = enclosing(atom);
+                atoms.push({
+                    id:         atoms.length,
+                    expression: buf.substring(atom.range[0], atom.range[1]),
+                    line:       atom.loc.start.line,
+                    funcLoc:    func ? func.loc : null,
+                    params:     func ? _.map(func.params, 'name') : [],
+                    node:       atom
+                });
+            }
+        }
+    });
+
+    // Splice the recording calls in from the end, skipping atoms nested in other atoms.
+    let outermost = _.filter(atoms, a => !_.some(atoms, b => b !== a &&
+        b.node.range[0] <= a.node.range[0] && a.node.range[1] <= b.node.range[1]));
+    let source = buf;
+    for (let atom of _.sortBy(outermost, a => -a.node.range[0])) {
+        let node = atom.node;
+        let replacement = node.type === 'BinaryExpression' && _.includes(comparisons, node.operator)
+            ? `__concolic.compare(${atom.id}, ${JSON.stringify(node.operator)}, ${slice(buf, node.left)}, ${slice(buf, node.right)})`
+            : `__concolic.truth(${atom.id}, (${slice(buf, node)}))`;
+        source = source.substring(0, node.range[0]) + replacement + source.substring(node.range[1]);
+    }
+
+    // Keep the line numbers: the recorder is bound on the first line, after the directive
+    // prologue, so that `'use strict'` still applies.
+    let directives = _.takeWhile(result.body, statement => statement.directive !== undefined);
+    let start = directives.length ? _.last(directives).range[1] : 0;
+    let binding = `${directives.length ? ';' : ''} var __concolic = module.__concolic; `;
+    return { source: source.substring(0, start) + binding + source.substring(start), atoms: atoms };
+}
+
+
+/**
+ * Load instrumented source as the module at a path, so its own requires still resolve.
+ *
+ * @param   {String} filePath Path of the original module.
+ * @param   {String} source   Instrumented source.
+ * @param   {Object} recorder Object whose `trace` collects the evaluated conditions.
+ * @returns {Object}          Exports of the instrumented module.
+ */
+function load(filePath, source, recorder) {
+
+    let instrumented = new Module(filePath, module);
+    instrumented.filename = filePath;
+    instrumented.paths = Module._nodeModulePaths(path.dirname(filePath));
+    instrumented.__concolic = {
+        compare: (id, operator, left, right) => {
+            let outcome = compare(operator, left, right);
+            recorder.trace.push({ id: id, outcome: outcome, operator: operator, left: left, right: right });
+            return outcome;
+        },
+        truth: (id, value) => {
+            recorder.trace.push({ id: id, outcome: !!value, value: value });
+            return value;
+        }
+    };
+    instrumented._compile(source, filePath);
+    return instrumented.exports;
+}
+
+
+/**
+ * Derive argument lists which flip a recorded condition.
+ *
+ * @param   {Object}   step     Recorded condition: `{ id, outcome, operator, left, right }` or `{ id, outcome, value }`.
+ * @param   {Object}   atom     Instrumented condition, as returned by `instrument`.
+ * @param   {Object}   loc      Location of the function that was called.
+ * @param   {String[]} params   Parameter names of the function that was called.
+ * @param   {Array}    values   Argument values of the run.
+ * @returns {Array[]}           New argument value lists.
+ */
+function negate(step, atom, loc, params, values) {
+
+    let derived = [];
+    let replaceArg = (i, value) => {
+        let next = values.slice();
+        next[i] = value;
+        derived.push(next);
+    };
+
+    // Conditions on a parameter or on a property of one, in the called function itself.
+    if( step.operator === undefined ) {
+        let node = atom.node;
+        let inside = _.isEqual(atom.funcLoc, loc);
+        if( inside && node.type === 'Identifier' && _.includes(params, node.name) ) {
+            replaceArg(params.indexOf(node.name), flipTruth(step.value));
+        }
+        if( inside && node.type === 'MemberExpression' && !node.computed &&
+            node.object.type === 'Identifier' && _.includes(params, node.object.name) ) {
+            let i = params.indexOf(node.object.name);
+            if( _.isPlainObject(values[i]) || values[i] === undefined || values[i] === null || values[i] === false ) {
+                replaceArg(i, _.assign({}, values[i] || {}, { [node.property.name]: flipTruth(step.value) }));
+            }
+        }
+        return derived;
+    }
+
+    // Comparisons: replace whatever part of an argument an operand was computed from.
+    let want = !step.outcome;
+    for (let [operand, other, onLeft] of [[step.left, step.right, true], [step.right, step.left, false]]) {
+        _.forEach(values, (value, i) => {
+
+            if( typeof operand === 'number' && value === operand && typeof other === 'number' ) {
+                let test = onLeft ? `(x ${step.operator} ${other})` : `(${other} ${step.operator} x)`;
+                let solution = solver.solve(['x'], [{ test: test, outcome: want }]);
+                if( solution.feasible && solution.values.hasOwnProperty('x') ) {
+                    replaceArg(i, solution.values.x);
+                }
+            }
+
+            if( typeof operand === 'string' && typeof value === 'string' && operand !== '' && value.indexOf(operand) !== -1 &&
+                _.includes(['==', '!=', '===', '!=='], step.operator) ) {
+                let equal = (step.operator === '==' || step.operator === '===') === want;
+                let replacement = equal ? String(other) : `${operand}!`;
+                replaceArg(i, value.replace(operand, replacement));
+            }
+
+            let nullish = v => v === undefined || v === null;
+            if( value === operand && (nullish(operand) || nullish(other)) && _.includes(['==', '!=', '===', '!=='], step.operator) ) {
+                let equal = (step.operator === '==' || step.operator === '===') === want;
+                replaceArg(i, equal ? other : (other === undefined || other === null ? 0 : undefined));
+            }
+        });
+    }
+    return derived;
+}
+
+
+/**
+ * Evaluate a recorded comparison.
+ */
+function compare(operator, left, right) {
+    switch (operator) {
+        case '<':   return left < right;
+        case '<=':  return left <= right;
+        case '>':   return left > right;
+        case '>=':  return left >= right;
+        case '==':  return left == right;
+        case '!=':  return left != right;
+        case '===': return left === right;
+        case '!==': return left !== right;
+    }
+}
+
+
+/**
+ * A value of opposite truthiness, of the same type where there is one.
+ */
+function flipTruth(value) {
+    if( value ) {
+        return typeof value === 'number' ? 0 : (typeof value === 'string' ? '' : undefined);
+    }
+    return typeof value === 'number' ? 1 : (typeof value === 'string' ? 'a' : true);
+}
+
+
+/**
+ * Source text of a node.
+ */
+function slice(buf, node) {
+    return buf.substring(node.range[0], node.range[1]);
+}
+
+
+// Export
+module.exports = explore;
+module.exports.instrument = instrument;
@@ -2,9 +2,20 @@
 const esprima = require("esprima");
 const faker   = require("faker");
 const fs      = require('fs');
-const Random  = require('random-js');
 const _       = require('lodash');
-const randexp = require('randexp');
+
+
+// Local Modules
+const accessors     = require('./accessors');
+const callgraph     = require('./callgraph');
+const dataflow      = require('./dataflow');
+const oracle        = require('./oracle');
+const functionPaths = require('./paths');
+const regexValues   = require('./regexes');
+const shapes        = require('./shapes');
+const solver        = require('./solver');
+const stringValues  = require('./strings');
+const throws        = require('./throws');
 
 
 
@@ -14,20 +25,102 @@ const options = { tokens: true, tolerant: true, loc: true, range: true };
 
 
 
-// Create random generator engine
-const engine = Random.engines.mt19937().autoSeed();
+// Mock file system entries for each state a path can be in; missing paths get none.
+const fileStates = {
+    missing:         null,
+    emptyDir:        directoryMock(0),
+    nonEmptyDir:     directoryMock(1),
+    emptyFile:       fileMock(''),
+    fileWithContent: fileMock('content')
+};
+
+// States of its path argument each file system call behaves differently for.
+const readFileStates  = ['missing', 'emptyFile', 'fileWithContent', 'emptyDir'];
+const readdirStates   = ['missing', 'emptyDir', 'nonEmptyDir', 'emptyFile'];
+const existsStates    = ['missing', 'emptyFile', 'emptyDir'];
+const writeFileStates = ['missing', 'fileWithContent', 'emptyDir'];
+const fsCallStates = {
+    readFileSync:   readFileStates,
+    readFile:       readFileStates,
+    statSync:       readFileStates,
+    stat:           readFileStates,
+    lstatSync:      readFileStates,
+    lstat:          readFileStates,
+    readdirSync:    readdirStates,
+    readdir:        readdirStates,
+    existsSync:     existsStates,
+    exists:         existsStates,
+    access:         existsStates,
+    accessSync:     existsStates,
+    writeFileSync:  writeFileStates,
+    writeFile:      writeFileStates,
+    appendFileSync: writeFileStates,
+    appendFile:     writeFileStates,
+    unlinkSync:     writeFileStates,
+    unlink:         writeFileStates
+};
+
+
+// Values of the type a guard checks for, and of another type, by `typeof` result or class name.
+const typeValues = {
+    string:    { matching: ["'text'"],                 mismatching: ['1'] },
+    number:    { matching: ['1', 'NaN'],               mismatching: ["'1'"] },
+    boolean:   { matching: ['true'],                   mismatching: ["'true'"] },
+    undefined: { matching: ['undefined'],              mismatching: ['null'] },
+    object:    { matching: ['{}', 'null'],             mismatching: ["'text'"] },
+    function:  { matching: ['() => {}'],               mismatching: ['{}'] },
+    symbol:    { matching: ["Symbol('symbol')"],       mismatching: ["'symbol'"] },
+    null:      { matching: ['null'],                   mismatching: ['undefined'] },
+    nullish:   { matching: ['null', 'undefined'],      mismatching: ['0'] },
+    NaN:       { matching: ['NaN'],                    mismatching: ['1'] },
+    Array:     { matching: ['[1]'],                    mismatching: ['{}'] },
+    Object:    { matching: ['{}'],                     mismatching: ['Object.create(null)'] },
+    Function:  { matching: ['() => {}'],               mismatching: ['{}'] },
+    Date:      { matching: ['new Date(0)'],            mismatching: ['0'] },
+    Buffer:    { matching: ["Buffer.from('buffer')"],  mismatching: ["'buffer'"] },
+    RegExp:    { matching: ['/a/'],                    mismatching: ["'a'"] },
+    Map:       { matching: ['new Map()'],              mismatching: ['{}'] },
+    Set:       { matching: ['new Set()'],              mismatching: ['[]'] },
+    Promise:   { matching: ['Promise.resolve()'],      mismatching: ['{}'] }
+};
+
+// Names Node-style callback parameters go by.
+const callbackNames = ['callback', 'cb', 'done', 'next'];
+
+// Results of `typeof`, and classes checked with `instanceof`, a guard can test for.
+const typeofResults = ['string', 'number', 'boolean', 'undefined', 'object', 'function', 'symbol'];
+const classNames    = ['Array', 'Object', 'Function', 'Date', 'Buffer', 'RegExp', 'Map', 'Set', 'Promise'];
+
+// Methods telling a parameter whose length is compared is a string, or an array.
+const stringMethods = ['split', 'substring', 'substr', 'charAt', 'charCodeAt', 'toLowerCase', 'toUpperCase',
+                       'trim', 'replace', 'startsWith', 'endsWith', 'padStart', 'padEnd', 'match', 'normalize'];
+const arrayMethods  = ['push', 'pop', 'shift', 'unshift', 'map', 'forEach', 'filter', 'reduce', 'some', 'every',
+                       'find', 'findIndex', 'join', 'sort', 'reverse', 'splice'];
+
+// Truthy and falsy values of each type an operand tested for truthiness is used as.
+const truthValues = {
+    string:  ["'a'", "''"],
+    number:  [1, 0],
+    boolean: [true, false]
+};
+
+// Comparison operators with their operands swapped.
+const mirrored = { '<': '>', '<=': '>=', '>': '<', '>=': '<=' };
 
 
 /**
  * Constraint class. Represents constraints on function call parameters.
  *
- * @property {String}                                                          ident      Identity of the parameter mapped to the constraint.
- * @property {String}                                                          expression Full expression string for a constraint.
- * @property {String}                                                          operator   Operator used in constraint.
- * @property {String|Number}                                                   value      Main constraint value.
- * @property {String|Number}                                                   altvalue   Constraint alternative value.
- * @property {String}                                                          funcName   Name of the function being constrained.
- * @property {'fileWithContent'|'fileExists'|'integer'|'string'|'phoneNumber'} kind       Type of the constraint.
+ * @property {String}                                                                       ident      Identity of the parameter mapped to the constraint.
+ * @property {String}                                                                       expression Full expression string for a constraint.
+ * @property {String}                                                                       operator   Operator used in constraint.
+ * @property {String|Number}                                                                value      Main constraint value.
+ * @property {String|Number}                                                                altvalue   Constraint alternative value.
+ * @property {String}                                                                       funcName   Name of the function being constrained.
+ * @property {'fileSystem'|'object'|'array'|'type'|'integer'|'real'|'string'|'phoneNumber'} kind       Type of the constraint.
+ * @property {String}                                                                       mock       For 'fileSystem' constraints, source of the mock-fs entry
+ *                                                                                                     at the path `value`, or null when the path is missing.
+ * @property {String}                                                                       via        For values handed on from a called function, its name.
  */
 class Constraint {
     constructor(properties){
@@ -38,6 +131,7 @@ class Constraint {
         this.altvalue = properties.altvalue;
         this.funcName = properties.funcName;
         this.kind = properties.kind;
+        this.mock = properties.mock;
     }
 }
 
@@ -46,150 +140,160 @@ class Constraint {
  * Generate function parameter constraints for an input file
  * and save them to the global functionConstraints object.
  *
+ * Each function also lists the module's functions it `calls`, and gets the values
+ * found for their parameters on its own parameters passed on to them, and the
+ * `throws` statements ending it, with the conditions guarding them. Functions the module
+ * does not export get no `accessor`: they are kept for their callers, but not called.
+ *
  * @param   {String} filePath Path of the file to generate tests for.
+ * @param   {String} [source] Source code of the file, read from `filePath` when not given.
  * @returns {Object}          Function constraints object.
  */
-function constraints(filePath) {
+function constraints(filePath, source) {
 
     // Initialize function constraints directory
     let functionConstraints = {};
 
     // Read input file and parse it with esprima.
-    let buf = fs.readFileSync(filePath, "utf8");
-    let result = esprima.parse(buf, options);
+    let buf = source === undefined ? fs.readFileSync(filePath, "utf8") : source;
+    let result = parse(buf);
+
+    // Functions reachable from the module's exports, and the expressions reaching them.
+    let exported = accessors(result);
+
+    // Functions by the name they are called with inside the module, and their bodies, for the call graph.
+    let bindings = {};
+    let bodies = [];
 
     // Start traversing the root node
-    traverse(result, function (node) {
+    dataflow.walk(result, function (node, parent) {
 
-        // If some node is a function declaration, parse it for potential constraints.
-        if (node.type === 'FunctionDeclaration') {
+        // If some node is a function declaration, or a function the module exports, parse it for potential constraints.
+        let reachable = _.find(exported, { node: node });
+        if (node.type === 'FunctionDeclaration' || reachable) {
 
             // Get function name and arguments
-            let funcName = functionName(node);
-            let params = node.params.map(function(p) {return p.name});
+            let funcName = reachable ? reachable.name : functionName(node, parent);
+            let params = node.params.map(paramName);
+            if( node.type === 'FunctionDeclaration' || _.get(parent, 'type') === 'VariableDeclarator' ||
+                (_.get(parent, 'type') === 'AssignmentExpression' && parent.left.type === 'Identifier') ) {
+                bindings[functionName(node, parent)] = funcName;
+            }
+
+            // Instance fields the function reads and writes, for methods and constructors.
+            let { reads, writes } = fieldAccesses(node);
+            let owner = reachable ? reachable.owner : null;
+            let fields = owner ? reads : [];
+
+            // How the function completes: synchronously, through a Promise, or through a callback parameter.
+            let completion = asyncStyle(node, params);
 
-            // Initialize function constraints
+            // Initialize function constraints, with the paths through the function's branches and the throws ending them
+            let paths = functionPaths(node, params, buf);
             functionConstraints[funcName] = {
                 constraints: _.zipObject(params, _.map(params, () => [])),
-                params: params
+                params: params,
+                accessor: reachable ? reachable.accessor : null,
+                instance: owner,
+                fields: _.zipObject(fields, _.map(fields, () => [])),
+                writes: writes,
+                async: completion.async,
+                callback: completion.callback,
+                loc: node.loc,
+                paths: paths,
+                throws: throws.throwSites(node, paths, buf),
+                calls: []
             };
 
-            // Traverse function node.
-            traverse(node, function(child) {
-
-                // Handle properties of a parameter in an expression - normalize
-                if( child.type === "UnaryExpression" && child.argument.type === "MemberExpression"){
-                    {
-                        // Get expression from original source code:
-                        let expression = buf.substring(child.range[0], child.range[1]);
-
-                        for (let p in params) {
-                            if( child.argument.object.name === params[p] ) {
-
-                                // Get identifier
-                                let ident = params[p];
-                                let property_name = child.argument.property.name;
-
-                                // Push a new constraint
-                                functionConstraints[funcName].constraints[ident].push(new Constraint({
-                                    ident: params[p],
-                                    value:  `${ident} = {'${property_name}': true}`,
-                                    funcName: funcName,
-                                    kind: "string",
-                                    operator : child.operator,
-                                    expression: expression
-                                }));
-                                // Push a new constraint
-                                functionConstraints[funcName].constraints[ident].push(new Constraint({
-                                    ident: params[p],
-                                    value:  false,
-                                    funcName: funcName,
-                                    kind: "string",
-                                    operator : child.operator,
-                                    expression: expression
-                                }));
-                            }
-                        }
-                    };
+            // Constraints of a parameter, or of an instance field for `this.<name>`.
+            let variables = params.concat(_.map(fields, field => `this.${field}`));
+            let constraintsOf = ident => _.startsWith(ident, 'this.')
+                ? functionConstraints[funcName].fields[ident.substring(5)]
+                : functionConstraints[funcName].constraints[ident];
+
+            // Handle parameters used as option bags - !options.normalize, 'a' in options, { a } = options
+            let bags = shapes(node, params);
+            for (let ident in bags) {
+                for (let value of bags[ident]) {
+                    functionConstraints[funcName].constraints[ident].push(new Constraint({
+                        ident: ident,
+                        value: oracle.serialize(value),
+                        funcName: funcName,
+                        kind: "object",
+                        expression: ident
+                    }));
                 }
+            }
 
+            // Whether a parameter already has a path with this name or this mock file system entry.
+            let hasFileState = (ident, value, mock) => _.some(constraintsOf(ident),
+                c => c.value === value || (c.kind === 'fileSystem' && c.mock === mock));
+
+            // Push a new constraint on a parameter or field, unless there already is one with the value.
+            let addValue = (ident, value, kind, checked) => {
+                if( !_.some(constraintsOf(ident), { value: value }) ) {
+                    constraintsOf(ident).push(new Constraint({
+                        ident: ident,
+                        value: value,
+                        funcName: funcName,
+                        kind: kind,
+                        operator : checked.operator,
+                        expression: buf.substring(checked.range[0], checked.range[1])
+                    }));
+                }
+            };
 
-                // Handle fs.readFileSync
-                if( child.type === "CallExpression" && child.callee.property && child.callee.property.name === "readFileSync" ) {
-
-                    // Get expression from original source code:
-                    let expression = buf.substring(child.range[0], child.range[1]);
-
-                    for (let p in params) {
-                        if( child.arguments[0].name === params[p] ) {
+            // The parameter or field a node reads directly, or null.
+            let variableOf = operand => {
+                let field = fieldName(operand);
+                if( operand.type === 'Identifier' && _.includes(params, operand.name) ) return operand.name;
+                if( field !== null && functionConstraints[funcName].fields[field] ) return `this.${field}`;
+                return null;
+            };
 
-                            // Get identifier
-                            let ident = params[p];
+            // Definitions of local variables, to follow `files.length` back to `fs.readdirSync(dir)`.
+            let definitions = dataflow.definitions(node, params);
+            bodies.push({ funcName: funcName, node: node, definitions: definitions });
+            let called = calledMethods(node, params);
 
-                            // Push a new constraint
-                            functionConstraints[funcName].constraints[ident].push(new Constraint({
-                                ident: params[p],
-                                value:  "'pathContent/file1'",
-                                funcName: funcName,
-                                kind: "fileWithContent",
-                                operator : child.operator,
-                                expression: expression
-                            }));
-                            functionConstraints[funcName].constraints[ident].push(new Constraint({
-                                ident: params[p],
-                                value:  "'pathContent/someDir'",
-                                funcName: funcName,
-                                kind: "fileWithContent",
-                                operator : child.operator,
-                                expression: expression
-                            }));
-                            functionConstraints[funcName].constraints[ident].push(new Constraint({
-                                ident: params[p],
-                                value:  "'file'",
-                                funcName: funcName,
-                                kind: "fileExists",
-                                operator : child.operator,
-                                expression: expression
-                            }));
-                        }
-                    }
-                }
+            // Traverse function node.
+            dataflow.walk(node, function(child, parent) {
 
-                // Handle fs.readDirSync
-                if( child.type === "CallExpression" && child.callee.property && child.callee.property.name === "readdirSync" ) {
+                // Handle file system calls on a parameter: fs.readFileSync, fs.existsSync, fs.statSync, ...,
+                // their asynchronous forms and fs.promises, with the path in each state the call tells apart.
+                if( child.type === "CallExpression" && child.callee.property && fsCallStates.hasOwnProperty(child.callee.property.name) ) {
 
                     // Get expression from original source code:
                     let expression = buf.substring(child.range[0], child.range[1]);
 
                     for (let p in params) {
-                        if( child.arguments[0].name === params[p] ) {
+                        if( _.get(child, 'arguments[0].name') === params[p] ) {
 
                             // Get identifier
                             let ident = params[p];
 
-                            // Push a new constraint
-                            functionConstraints[funcName].constraints[ident].push(new Constraint({
-                                ident: params[p],
-                                value:  "'emptyDir'",
-                                funcName: funcName,
-                                kind: "fileExists",
-                                operator : child.operator,
-                                expression: expression
-                            }));
-                            functionConstraints[funcName].constraints[ident].push(new Constraint({
-                                ident: params[p],
-                                value:  "'nonEmptyDir'",
-                                funcName: funcName,
-                                kind: "fileExists",
-                                operator : child.operator,
-                                expression: expression
-                            }));
+                            // Push a new constraint per state, unless an earlier call asked for it
+                            for (let state of fsCallStates[child.callee.property.name]) {
+                                let value = `'${ident}-${state}'`;
+                                if( hasFileState(ident, value, fileStates[state]) ) {
+                                    continue;
+                                }
+                                functionConstraints[funcName].constraints[ident].push(new Constraint({
+                                    ident: params[p],
+                                    value:  value,
+                                    funcName: funcName,
+                                    kind: "fileSystem",
+                                    operator : child.operator,
+                                    expression: expression,
+                                    mock: fileStates[state]
+                                }));
+                            }
                         }
                     }
                 }
 
 
-                // Handle equivalence expression and random phonenumbers
+                // Handle equality of parameters with constants - mode == "strict"
                 if(_.get(child, 'type') === 'BinaryExpression' && _.includes(['!=', '!==', '==', '==='], _.get(child, 'operator'))) {
                     if(_.get(child, 'left.type') === 'Identifier') {
 
@@ -224,40 +328,46 @@ function constraints(filePath) {
                                 expression: expression
                             }));
                         }
-                        else{
-                            if(params.length == 1){
-                                let ident = params[0];
-                                let phone_number = new randexp(/[0-9]{10}/).gen();
-                                phone_number = `${match[1]}` + phone_number.substring(3,phone_number.length);
-
-                                let constraints = functionConstraints[funcName].constraints[ident];
-                                constraints.push(new Constraint({
-                                    ident: ident,
-                                    value: `'NEQ - ${rightHand}'`,
-                                    funcName: funcName,
-                                    kind: "string",
-                                    operator : child.operator,
-                                    expression: expression
-                                }));
-                                constraints.push(new Constraint({
-                                    ident: ident,
-                                    value: `"${phone_number}"`,
-                                    funcName: funcName,
-                                    kind: "string",
-                                    operator : child.operator,
-                                    expression: expression
-                                }));
+                    }
+                }
+
+                // Handle equality of values computed from a parameter with constants - area == "212",
+                // where area = num.substring(1, 4) and num = format(phoneNumber, ...)
+                if(_.get(child, 'type') === 'BinaryExpression' && _.includes(['!=', '!==', '==', '==='], _.get(child, 'operator'))) {
+                    for (let [side, other] of [[child.left, child.right], [child.right, child.left]]) {
+                        let traced = other.type === 'Literal' && !other.regex ? dataflow.trace(side, definitions, params) : null;
+                        if( !traced || !(traced.local || traced.steps.length) ) {
+                            continue;
+                        }
+
+                        // Get expression from original source code:
+                        let expression = buf.substring(child.range[0], child.range[1]);
+
+                        // Push a new constraint per value giving the constant, and giving another one
+                        let changed = typeof other.value === 'string'
+                            ? (other.value.length ? (other.value[0] === 'a' ? 'b' : 'a') + other.value.substring(1) : 'a')
+                            : other.value + 1;
+                        let values = dataflow.preimages(traced.steps, other.value).concat(dataflow.preimages(traced.steps, changed));
+                        for (let value of _.map(values, v => oracle.serialize(v))) {
+                            if( _.some(constraintsOf(traced.ident), { value: value }) ) {
+                                continue;
                             }
+                            constraintsOf(traced.ident).push(new Constraint({
+                                ident: traced.ident,
+                                value: value,
+                                funcName: funcName,
+                                kind: typeof other.value === 'string' ? "string" : "integer",
+                                operator : child.operator,
+                                expression: expression
+                            }));
                         }
                     }
                 }
 
-                // Handle greater and less than expression
-                if(_.get(child, 'type') === 'BinaryExpression' && _.includes([ '<', '>'], _.get(child, 'operator'))) {
-                    if(_.get(child, 'left.type') === 'Identifier') {
-
-                        // Get identifier
-                        let ident = child.left.name;
+                // Handle equality of instance fields with constants - this.state === 'open'
+                if(_.get(child, 'type') === 'BinaryExpression' && _.includes(['!=', '!==', '==', '==='], _.get(child, 'operator'))) {
+                    let field = fieldName(child.left);
+                    if( field !== null && functionConstraints[funcName].fields[field] ) {
 
                         // Get expression from original source code:
                         let expression = buf.substring(child.range[0], child.range[1]);
@@ -265,25 +375,43 @@ function constraints(filePath) {
 
                         // Test to see if right hand is a string
                         let match = rightHand.match(/^['"](.*)['"]$/);
-                        //console.log( parseInt(rightHand));
 
-                        if (_.includes(params, _.get(child, 'left.name'))) {
-
-                            // Push a new constraints
-                            let constraints = functionConstraints[funcName].constraints[ident];
-                            constraints.push(new Constraint({
-                                ident: child.left.name,
-                                value: parseInt(rightHand)-1,
+                        // Push a new constraint for each side of the comparison
+                        for (let value of [rightHand, match ? `'NEQ - ${match[1]}'` : NaN]) {
+                            functionConstraints[funcName].fields[field].push(new Constraint({
+                                ident: `this.${field}`,
+                                value: value,
                                 funcName: funcName,
-                                kind: "integer",
+                                kind: match ? "string" : "integer",
                                 operator : child.operator,
                                 expression: expression
                             }));
-                            constraints.push(new Constraint({
-                                ident: child.left.name,
-                                value: parseInt(rightHand)+1,
+                        }
+                    }
+                }
+
+                // Handle type guards - typeof x === 'string', x instanceof Date, Array.isArray(x), x == null
+                let guard = typeGuard(child);
+                if( guard ) {
+                    let field = fieldName(guard.operand);
+                    let ident = guard.operand.type === 'Identifier' && _.includes(params, guard.operand.name) ? guard.operand.name
+                              : field !== null && functionConstraints[funcName].fields[field] ? `this.${field}` : null;
+                    if( ident !== null ) {
+
+                        // Get expression from original source code:
+                        let expression = buf.substring(child.range[0], child.range[1]);
+
+                        // Push a new constraint per value of the type and of another, unless there already is one
+                        let values = typeValues[guard.type];
+                        for (let value of values.matching.concat(values.mismatching)) {
+                            if( _.some(constraintsOf(ident), { value: value }) ) {
+                                continue;
+                            }
+                            constraintsOf(ident).push(new Constraint({
+                                ident: ident,
+                                value: value,
                                 funcName: funcName,
-                                kind: "integer",
+                                kind: "type",
                                 operator : child.operator,
                                 expression: expression
                             }));
@@ -291,37 +419,113 @@ function constraints(filePath) {
                     }
                 }
 
-                // Handle 'string' substring  - "indexOf"
-                if(_.get(child, 'type') === 'BinaryExpression' && _.includes([ '==', '!=', '===', '!=='], _.get(child, 'operator'))) {
-                    if(_.get(child, 'left.type') === 'CallExpression' && _.get(child, 'left.callee.type') === 'MemberExpression') {
-
+                // Handle lengths and sizes compared with a number - files.length == 0, list.length > 2,
+                // name.split(',').length, Object.keys(options).length: values of each size on the boundary
+                if( child.type === 'BinaryExpression' && _.includes(['==', '!=', '===', '!==', '<', '<=', '>', '>='], child.operator) ) {
+                    for (let [side, other] of [[child.left, child.right], [child.right, child.left]]) {
+                        let source = sizeSource(side, definitions, params, called);
+                        if( !source || other.type !== 'Literal' || !Number.isInteger(other.value) ) {
+                            continue;
+                        }
 
-                        // Get identifier
-                        let ident = child.left.callee.object.name;
-                        let given_word  = child.left.arguments[0].value;
                         // Get expression from original source code:
                         let expression = buf.substring(child.range[0], child.range[1]);
-                        let rightHand = buf.substring(child.right.range[0], child.right.range[1]);
 
-                        var word = '';
-                        for(var i=0; i < rightHand; i++ ){
-                            word += 'a';
+                        // Push a new constraint per size: 0, 1, and the compared size and its neighbours
+                        let sizes = _.uniq([0, 1, other.value - 1, other.value, other.value + 1]).filter(n => n >= 0);
+                        for (let size of _.sortBy(sizes)) {
+                            for (let { value, kind, mock } of sizedValues(source, size)) {
+                                if( kind === 'fileSystem' ? hasFileState(source.ident, value, mock) : _.some(constraintsOf(source.ident), { value: value }) ) {
+                                    continue;
+                                }
+                                constraintsOf(source.ident).push(new Constraint({
+                                    ident: source.ident,
+                                    value: value,
+                                    funcName: funcName,
+                                    kind: kind,
+                                    operator : child.operator,
+                                    expression: expression,
+                                    mock: mock
+                                }));
+                            }
                         }
-                        word += given_word;
+                    }
+                }
 
-                        // Test to see if right hand is a string
-                        let match = rightHand.match(/^['"](.*)['"]$/);
-                        //console.log( parseInt(rightHand));
+                // Handle switch statements - switch (mode) { case 'a': ... }: each case, and a value hitting none
+                if( child.type === 'SwitchStatement' ) {
+                    let cases = _.filter(_.map(child.cases, 'test'), test => test && test.type === 'Literal' && !test.regex);
+                    let traced = variableOf(child.discriminant)
+                        ? { ident: variableOf(child.discriminant), steps: [] }
+                        : dataflow.trace(child.discriminant, definitions, params);
+                    if( traced && cases.length ) {
+                        let values = _.map(cases, 'value').concat([otherValue(_.map(cases, 'value'))]);
+                        for (let value of _.flatMap(values, v => dataflow.preimages(traced.steps, v))) {
+                            addValue(traced.ident, oracle.serialize(value), typeof value === 'string' ? "string" : "integer", child.discriminant);
+                        }
+                    }
+                }
 
-                        if (_.includes(params, _.get(child, 'left.callee.object.name'))) {
+                // Handle truthiness - if (flag), x ? a : b, !flag, mode || 'default', a && b: a truthy and a falsy value
+                // of the type the operand is used as, and undefined for the defaulted side of || and ??
+                for (let operand of testedOperands(child)) {
+                    let ident = variableOf(operand);
+                    if( ident === null || _.some(constraintsOf(ident), c => _.includes(['object', 'fileSystem'], c.kind)) ) {
+                        continue;
+                    }
+                    let other = child.type === 'LogicalExpression' ? (child.left === operand ? child.right : child.left) : null;
+                    let type = other && other.type === 'Literal' && !other.regex && other.value !== null
+                        ? typeof other.value
+                        : valueType(_.map(constraintsOf(ident), 'value'));
+                    let values = truthValues[type] || truthValues.boolean;
+                    if( child.type === 'LogicalExpression' && child.left === operand && child.operator !== '&&' ) {
+                        values = values.concat(['undefined']);
+                    }
+                    for (let value of values) {
+                        addValue(ident, value, type === 'number' ? "integer" : "string", child);
+                    }
+                }
 
-                            // Push a new constraints
-                            let constraints = functionConstraints[funcName].constraints[ident];
-                            constraints.push(new Constraint({
+                // Handle loops - values making them run zero times, once and several times
+                for (let { ident, values, kind } of loopValues(child, variableOf, definitions, params, called)) {
+                    for (let value of values) {
+                        if( kind === 'fileSystem' ) {
+                            if( !hasFileState(ident, value.value, value.mock) ) {
+                                constraintsOf(ident).push(new Constraint({
+                                    ident: ident,
+                                    value: value.value,
+                                    funcName: funcName,
+                                    kind: kind,
+                                    expression: buf.substring(child.test.range[0], child.test.range[1]),
+                                    mock: value.mock
+                                }));
+                            }
+                        }
+                        else {
+                            addValue(ident, value, kind, child.test);
+                        }
+                    }
+                }
+
+                // Handle comparisons, including constants on the left, floats and linear
+                // arithmetic over several parameters: solve them both ways for the values
+                // on each side of the boundary.
+                if(_.get(child, 'type') === 'BinaryExpression' && _.includes([ '<', '<=', '>', '>='], _.get(child, 'operator'))) {
+
+                    // Get expression from original source code:
+                    let expression = buf.substring(child.range[0], child.range[1]);
+
+                    for (let outcome of [true, false]) {
+                        let solution = solver.solve(variables, [{ test: expression, outcome: outcome }]);
+
+                        // Push a new constraint per parameter or instance field in the comparison
+                        for (let ident of _.intersection(variables, _.keys(solution.values))) {
+                            let value = solution.values[ident];
+                            constraintsOf(ident).push(new Constraint({
                                 ident: ident,
-                                value: `'${word}'`,
+                                value: value,
                                 funcName: funcName,
-                                kind: "string",
+                                kind: Number.isInteger(value) ? "integer" : "real",
                                 operator : child.operator,
                                 expression: expression
                             }));
@@ -329,58 +533,574 @@ function constraints(filePath) {
                     }
                 }
 
+                // Handle regular expressions applied to a parameter - /re/.test(name), name.replace(/re/, ...)
+                let patterned = regexValues(child, params, definitions);
+                if( patterned ) {
+
+                    // Get expression from original source code:
+                    let expression = buf.substring(child.range[0], child.range[1]);
+
+                    // Push a new constraint per matching and near-miss string, unless there already is one
+                    for (let value of _.map(patterned.values, v => oracle.serialize(v))) {
+                        if( _.some(constraintsOf(patterned.ident), { value: value }) ) {
+                            continue;
+                        }
+                        constraintsOf(patterned.ident).push(new Constraint({
+                            ident: patterned.ident,
+                            value: value,
+                            funcName: funcName,
+                            kind: "string",
+                            expression: expression
+                        }));
+                    }
+                }
+
+                // Handle string methods on a parameter - name.indexOf('x') > 2, name.trim().startsWith('x'), name[0] === 'x'
+                let strings = stringValues(child, parent, params);
+                if( strings ) {
+
+                    // Get expression from original source code, with the comparison it is part of:
+                    let checked = _.get(parent, 'type') === 'BinaryExpression' ? parent : child;
+                    let expression = buf.substring(checked.range[0], checked.range[1]);
+
+                    // Push a new constraint per string, unless there already is one
+                    for (let value of _.map(strings.values, v => oracle.serialize(v))) {
+                        if( _.some(constraintsOf(strings.ident), { value: value }) ) {
+                            continue;
+                        }
+                        constraintsOf(strings.ident).push(new Constraint({
+                            ident: strings.ident,
+                            value: value,
+                            funcName: funcName,
+                            kind: "string",
+                            operator : checked.operator,
+                            expression: expression
+                        }));
+                    }
+                }
+
 
             });
-            // console.log( functionConstraints[funcName]);
         }
     });
+
+    // Build the call graph, and hand the values callees need on to their callers.
+    let sites = [];
+    for (let { funcName, node, definitions } of bodies) {
+        for (let site of callgraph.callSites(node, bindings)) {
+            sites.push(_.assign(site, { caller: funcName, definitions: definitions }));
+        }
+        functionConstraints[funcName].calls = _.uniq(_.map(_.filter(sites, { caller: funcName }), 'callee'));
+    }
+    callgraph.propagate(functionConstraints, sites);
+
     return functionConstraints;
 }
 
 /**
- * Traverse an object tree, calling the visitor at each
- * visited node.
+ * Name of the instance field a node accesses as `this.<name>`, or null.
+ */
+function fieldName(node) {
+    if( node && node.type === 'MemberExpression' && !node.computed && node.object.type === 'ThisExpression' ) {
+        return node.property.name;
+    }
+    return null;
+}
+
+/**
+ * Find the instance fields a function reads and writes through `this`,
+ * leaving out method calls and nested non-arrow functions with their own `this`.
+ *
+ * @param   {Object} node Esprima function node.
+ * @returns {Object}      `{ reads, writes }`: field names.
+ */
+function fieldAccesses(node) {
+
+    let reads = [];
+    let writes = [];
+    dataflow.walk(node, (object, parent) => {
+        let field = fieldName(object);
+        if( field !== null ) {
+            let written = (parent.type === 'AssignmentExpression' && parent.left === object) ||
+                          (parent.type === 'UpdateExpression');
+            let called  = parent.type === 'CallExpression' && parent.callee === object;
+            if( written ) {
+                writes.push(field);
+            }
+            if( !called && !(written && parent.operator === '=') ) {
+                reads.push(field);
+            }
+        }
+    }, { functions: 'arrow' });
+
+    return { reads: _.uniq(reads), writes: _.uniq(writes) };
+}
+
+/**
+ * Find what the size a node reads depends on: the length of a parameter, of the
+ * parts it is split into, of a directory listing or file read from a path parameter,
+ * or the number of keys of a parameter, following local variables to their values.
+ *
+ * @param   {Object}   node        Esprima node, e.g. `files.length`.
+ * @param   {Object}   definitions Definitions of local variables, as returned by `dataflow.definitions`.
+ * @param   {String[]} params      Parameter names of the function.
+ * @param   {Object}   called      Methods called on each parameter, as returned by `calledMethods`, which tell
+ *                                 strings from arrays.
+ * @returns {Object}               `{ ident, kind, separator }`, with `kind` 'string', 'array', 'either' (when the
+ *                                 function does not tell), 'split', 'directory', 'file' or 'keys', or null.
+ */
+function sizeSource(node, definitions, params, called) {
+
+    if( node.type !== 'MemberExpression' || node.computed || node.property.name !== 'length' ) {
+        return null;
+    }
+
+    // Follow local variables to the value they were assigned.
+    let measured = node.object;
+    let seen = [];
+    while( measured.type === 'Identifier' && dataflow.reaching(definitions, measured.name, measured.range[0]) &&
+           !_.includes(seen, measured.name) ) {
+        seen.push(measured.name);
+        measured = dataflow.reaching(definitions, measured.name, measured.range[0]);
+    }
+
+    // A parameter: a string or an array, as the function uses it.
+    if( measured.type === 'Identifier' && _.includes(params, measured.name) ) {
+        let isString = !_.isEmpty(_.intersection(called[measured.name], stringMethods));
+        let isArray  = !_.isEmpty(_.intersection(called[measured.name], arrayMethods));
+        return { ident: measured.name, kind: isString === isArray ? 'either' : (isString ? 'string' : 'array') };
+    }
+
+    if( measured.type !== 'CallExpression' || measured.callee.type !== 'MemberExpression' || measured.callee.computed ) {
+        return null;
+    }
+    let method = measured.callee.property.name;
+    let argument = measured.arguments[0];
+    let onParam = n => n && n.type === 'Identifier' && _.includes(params, n.name);
+
+    // param.split(',')
+    if( method === 'split' && onParam(measured.callee.object) && argument && argument.type === 'Literal' &&
+        typeof argument.value === 'string' && argument.value !== '' ) {
+        return { ident: measured.callee.object.name, kind: 'split', separator: argument.value };
+    }
+
+    // fs.readdirSync(dir), fs.readFileSync(filePath)
+    if( _.includes(['readdirSync', 'readFileSync'], method) && onParam(argument) ) {
+        return { ident: argument.name, kind: method === 'readdirSync' ? 'directory' : 'file' };
+    }
+
+    // Object.keys(options)
+    if( _.includes(['keys', 'values', 'entries'], method) && _.get(measured, 'callee.object.name') === 'Object' && onParam(argument) ) {
+        return { ident: argument.name, kind: 'keys' };
+    }
+
+    return null;
+}
+
+/**
+ * Find the methods a function calls on each of its parameters, as in `name.split(',')`.
+ *
+ * @param   {Object}   node   Esprima function node.
+ * @param   {String[]} params Parameter names of the function.
+ * @returns {Object}          Method names by parameter name.
+ */
+function calledMethods(node, params) {
+    let called = _.zipObject(params, _.map(params, () => []));
+    dataflow.walk(node.body, function (child) {
+        let object = _.get(child, 'callee.object.name');
+        if( child.type === 'CallExpression' && child.callee.type === 'MemberExpression' && !child.callee.computed &&
+            _.includes(params, object) ) {
+            called[object].push(child.callee.property.name);
+        }
+    });
+    return called;
+}
+
+/**
+ * Build values of a given size for what a size depends on, as returned by `sizeSource`.
+ *
+ * @param   {Object}   source Size source: `{ ident, kind, separator }`.
+ * @param   {Number}   size   Size to build.
+ * @returns {Object[]}        Values: `{ value, kind, mock }`, with `mock` the mock file system entry for paths.
+ */
+function sizedValues(source, size) {
+    let string = oracle.serialize(_.repeat('a', size));
+    let array = `[${_.range(1, size + 1).join(', ')}]`;
+    switch (source.kind) {
+        case 'string':
+            return [{ value: string, kind: 'string' }];
+        case 'array':
+            return [{ value: array, kind: 'array' }];
+        case 'either':
+            return [{ value: string, kind: 'string' }, { value: array, kind: 'array' }];
+        case 'split':
+            return size ? [{ value: oracle.serialize(_.times(size, () => 'a').join(source.separator)), kind: 'string' }] : [];
+        case 'keys':
+            return [{ value: oracle.serialize(_.zipObject(_.times(size, i => `key${i}`), _.range(size))), kind: 'object' }];
+        case 'directory':
+            return [{ value: `'${source.ident}-entries${size}'`, kind: 'fileSystem', mock: directoryMock(size) }];
+        case 'file':
+            return [{ value: `'${source.ident}-size${size}'`, kind: 'fileSystem', mock: fileMock(_.repeat('a', size)) }];
+    }
+    return [];
+}
+
+/**
+ * Source of a mock directory holding a number of files.
+ */
+function directoryMock(count) {
+    if( count === 0 ) {
+        return 'mock.directory()';
+    }
+    let items = _.times(count, i => `file${i}: mock.file({ content: 'content' })`);
+    return `mock.directory({ items: { ${items.join(', ')} } })`;
+}
+
+/**
+ * Source of a mock file with the given content.
+ */
+function fileMock(content) {
+    return `mock.file({ content: '${content}' })`;
+}
+
+/**
+ * A value equal to none of the given constants, to reach a switch's default case.
+ */
+function otherValue(constants) {
+    if( _.every(constants, c => typeof c === 'number') ) {
+        return _.max(constants) + 1;
+    }
+    return _.find(['other', 'default', 'none', 'x'], c => !_.includes(constants, c));
+}
+
+/**
+ * The operands a node tests for truthiness: the test of an if statement, loop or
+ * ternary, the argument of `!`, and both sides of `&&`, `||` and `??`.
+ */
+function testedOperands(node) {
+    if( _.includes(['IfStatement', 'WhileStatement', 'DoWhileStatement', 'ForStatement', 'ConditionalExpression'], node.type) ) {
+        return node.test ? [node.test] : [];
+    }
+    if( node.type === 'UnaryExpression' && node.operator === '!' ) {
+        return [node.argument];
+    }
+    if( node.type === 'LogicalExpression' ) {
+        return [node.left, node.right];
+    }
+    return [];
+}
+
+/**
+ * The type most of a parameter's values so far have: 'string', 'number', or 'boolean' when they tell neither.
+ */
+function valueType(values) {
+    let types = _.map(values, value => {
+        if( typeof value === 'number' ) return 'number';
+        if( typeof value !== 'string' ) return null;
+        if( /^(['"]).*\1$/.test(value) ) return 'string';
+        return /^-?\d+(\.\d+)?$/.test(value) ? 'number' : null;
+    });
+    let counts = _.countBy(_.compact(types));
+    return counts.string || counts.number ? ((counts.string || 0) >= (counts.number || 0) ? 'string' : 'number') : 'boolean';
+}
+
+/**
+ * Find values making a loop run zero times, once and several times: for `for` loops
+ * counting up from a constant to a parameter or a length (`i < n`, `i <= list.length`),
+ * and for loops whose test compares a parameter the body changes with a constant
+ * (`while (n > 0) { n--; }`) or tests it for truthiness (`while (n--)`).
  *
- * @param {Object}   object  Esprima node object.
- * @param {Function} visitor Visitor called at each node.
+ * @param   {Object}   node        Esprima node, a loop or anything else.
+ * @param   {Function} variableOf  Gives the parameter or field a node reads directly, or null.
+ * @param   {Object}   definitions Definitions of local variables, as returned by `dataflow.definitions`.
+ * @param   {String[]} params      Parameter names of the function.
+ * @param   {Object}   called      Methods called on each parameter, as returned by `calledMethods`.
+ * @returns {Object[]}             Values by parameter: `{ ident, values, kind }`, with `values` as sources, or for
+ *                                 paths as `{ value, mock }`.
  */
-function traverse(object, visitor) {
+function loopValues(node, variableOf, definitions, params, called) {
+
+    let counts = [0, 1, 3];
+
+    // for (let i = 0; i < n; i++)
+    if( node.type === 'ForStatement' && node.test && node.test.type === 'BinaryExpression' && node.update ) {
+        let counter = loopCounter(node);
+        let test = node.test;
+        let bound = null, inclusive = false;
+        if( counter && _.get(test, 'left.name') === counter.name && _.includes(['<', '<='], test.operator) ) {
+            bound = test.right;
+            inclusive = test.operator === '<=';
+        }
+        if( counter && _.get(test, 'right.name') === counter.name && _.includes(['>', '>='], test.operator) ) {
+            bound = test.left;
+            inclusive = test.operator === '>=';
+        }
+        if( bound ) {
+            let sizes = _.filter(_.map(counts, k => counter.start + k - (inclusive ? 1 : 0)), size => size >= 0);
+            let ident = variableOf(bound);
+            if( ident ) {
+                return [{ ident: ident, values: sizes, kind: "integer" }];
+            }
+            let source = sizeSource(bound, definitions, params, called);
+            if( source ) {
+                let values = _.flatMap(sizes, size => sizedValues(source, size));
+                return _.map(_.groupBy(values, 'kind'), (group, kind) => ({
+                    ident: source.ident,
+                    kind: kind,
+                    values: kind === 'fileSystem' ? group : _.map(group, 'value')
+                }));
+            }
+        }
+        return [];
+    }
+
+    if( !_.includes(['WhileStatement', 'DoWhileStatement'], node.type) ) {
+        return [];
+    }
 
-    // Call the visitor on the object
-    visitor(object);
+    // while (n > 0) { n--; } and while (n--)
+    let test = node.test;
+    let changes = ident => _.includes(assignedNames(node.body).concat(assignedNames(test)), ident);
+    if( test.type === 'UpdateExpression' && variableOf(test.argument) && changes(variableOf(test.argument)) ) {
+        return [{ ident: variableOf(test.argument), values: counts, kind: "integer" }];
+    }
+    if( test.type !== 'BinaryExpression' ) {
+        return [];
+    }
+    for (let [side, other, operator] of [[test.left, test.right, test.operator], [test.right, test.left, mirrored[test.operator]]]) {
+        let ident = variableOf(side);
+        if( !ident || !changes(ident) || other.type !== 'Literal' || typeof other.value !== 'number' || !operator ) {
+            continue;
+        }
+        let c = other.value;
+        let values = {
+            '>':  [c, c + 1, c + 3],
+            '>=': [c - 1, c, c + 2],
+            '<':  [c, c - 1, c - 3],
+            '<=': [c + 1, c, c - 2]
+        }[operator];
+        if( values ) {
+            return [{ ident: ident, values: values, kind: "integer" }];
+        }
+    }
+    return [];
+}
 
-    // Traverse all children of object
-    for (let key in object) {
-        if (object.hasOwnProperty(key)) {
-            let child = object[key];
-            if (typeof child === 'object' && child !== null) {
-                traverse(child, visitor);
+/**
+ * The counter of a `for` loop counting up by one from a constant: `{ name, start }`, or null.
+ */
+function loopCounter(node) {
+    let init = node.init;
+    let start = null, name = null;
+    if( init && init.type === 'VariableDeclaration' && init.declarations.length ) {
+        let declaration = init.declarations[0];
+        name = _.get(declaration, 'id.name');
+        start = _.get(declaration, 'init.value');
+    }
+    if( init && init.type === 'AssignmentExpression' && init.left.type === 'Identifier' ) {
+        name = init.left.name;
+        start = _.get(init, 'right.value');
+    }
+    let update = node.update;
+    let countsUp = (update.type === 'UpdateExpression' && update.operator === '++' && _.get(update, 'argument.name') === name) ||
+                   (update.type === 'AssignmentExpression' && update.operator === '+=' && _.get(update, 'left.name') === name &&
+                    _.get(update, 'right.value') === 1);
+    return name && Number.isInteger(start) && countsUp ? { name: name, start: start } : null;
+}
+
+/**
+ * Names of the parameters and fields a node assigns or updates, fields as `this.<name>`.
+ */
+function assignedNames(node) {
+    let names = [];
+    dataflow.walk(node, function (child) {
+        let target = child.type === 'AssignmentExpression' ? child.left : (child.type === 'UpdateExpression' ? child.argument : null);
+        if( target && target.type === 'Identifier' ) {
+            names.push(target.name);
+        }
+        if( target && fieldName(target) !== null ) {
+            names.push(`this.${fieldName(target)}`);
+        }
+    });
+    return names;
+}
+
+/**
+ * Recognize a type guard: `typeof x == 'string'`, `x instanceof Date`, `Array.isArray(x)`,
+ * `Buffer.isBuffer(x)`, `isNaN(x)`, `x == null` and `x === undefined`, either way round.
+ *
+ * @param   {Object} node Esprima node.
+ * @returns {Object}      `{ operand, type }`, with `type` a key of `typeValues`, or null.
+ */
+function typeGuard(node) {
+
+    if( node.type === 'BinaryExpression' && _.includes(['==', '!=', '===', '!=='], node.operator) ) {
+        for (let [side, other] of [[node.left, node.right], [node.right, node.left]]) {
+            if( side.type === 'UnaryExpression' && side.operator === 'typeof' &&
+                other.type === 'Literal' && _.includes(typeofResults, other.value) ) {
+                return { operand: side.argument, type: other.value };
+            }
+            if( other.type === 'Literal' && other.value === null && !other.regex ) {
+                return { operand: side, type: _.includes(['==', '!='], node.operator) ? 'nullish' : 'null' };
             }
+            if( other.type === 'Identifier' && other.name === 'undefined' ) {
+                return { operand: side, type: _.includes(['==', '!='], node.operator) ? 'nullish' : 'undefined' };
+            }
+        }
+    }
+
+    if( node.type === 'BinaryExpression' && node.operator === 'instanceof' && node.right.type === 'Identifier' ) {
+        if( _.includes(classNames, node.right.name) ) {
+            return { operand: node.left, type: node.right.name };
+        }
+    }
+
+    if( node.type === 'CallExpression' && node.arguments.length === 1 ) {
+        let callee = node.callee.type === 'MemberExpression' && !node.callee.computed
+            ? `${_.get(node, 'callee.object.name')}.${node.callee.property.name}`
+            : _.get(node, 'callee.name');
+        let type = { 'Array.isArray': 'Array', 'Buffer.isBuffer': 'Buffer', 'isNaN': 'NaN', 'Number.isNaN': 'NaN' }[callee];
+        if( type ) {
+            return { operand: node.arguments[0], type: type };
         }
     }
+
+    return null;
 }
 
+/**
+ * Find out how a function completes.
+ *
+ * `async` functions and functions returning a Promise (`new Promise(...)`, `Promise.*`,
+ * `.then`/`.catch`/`.finally` chains, `fs.promises`) complete through a Promise. A function
+ * completes through a Node-style callback, its last parameter, when that is called
+ * error-first, as in `fn(null, value)` or `fn(err)`, or when it has a callback's name
+ * (`callback`, `cb`, `done`, `next`) and is called, or handed on as the last of several
+ * arguments to a function not named `*Sync`, as in `fs.readFile(file, callback)`. Other
+ * functions it calls, as `fn` in `list.map(x => fn(x))`, are plain arguments.
+ *
+ * @param   {Object}   node   Esprima function node.
+ * @param   {String[]} params Parameter names of the function.
+ * @returns {Object}          `{ async, callback }`: 'promise', 'callback' or null, and the callback parameter's name or null.
+ */
+function asyncStyle(node, params) {
+
+    let isPromise = expression => {
+        if( !expression ) return false;
+        if( expression.type === 'NewExpression' && _.get(expression, 'callee.name') === 'Promise' ) return true;
+        if( expression.type !== 'CallExpression' || expression.callee.type !== 'MemberExpression' ) return false;
+        let callee = expression.callee;
+        return _.includes(['then', 'catch', 'finally'], callee.property.name) ||
+               _.get(callee, 'object.name') === 'Promise' || _.get(callee, 'object.property.name') === 'promises';
+    };
+
+    // Returns of nested functions are their own.
+    let nested = [];
+    dataflow.walk(node.body, function (child) {
+        if( _.includes(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'], child.type) ) {
+            nested.push(child.range);
+        }
+    });
+    let isOwn = child => !_.some(nested, range => range[0] <= child.range[0] && child.range[1] <= range[1]);
+
+    let returnsPromise = node.body.type !== 'BlockStatement' && isPromise(node.body);
+    let callback = node.params.length ? _.last(params) : undefined;
+    let callsBack = false;
+
+    dataflow.walk(node.body, function (child) {
+        if( child.type === 'ReturnStatement' && isOwn(child) && isPromise(child.argument) ) {
+            returnsPromise = true;
+        }
+        if( child.type !== 'CallExpression' || callback === undefined ) {
+            return;
+        }
+        let callee = _.get(child, 'callee.property.name') || _.get(child, 'callee.name') || '';
+        let called = _.get(child, 'callee.name') === callback;
+        let handsOn = child.arguments.length > 1 && _.get(_.last(child.arguments), 'name') === callback && !_.endsWith(callee, 'Sync');
+        if( _.includes(callbackNames, callback) ? called || handsOn : called && isErrorFirst(child) ) {
+            callsBack = true;
+        }
+    });
+
+    if( node.async || returnsPromise ) {
+        return { async: 'promise', callback: null };
+    }
+    return callsBack ? { async: 'callback', callback: callback } : { async: null, callback: null };
+}
 
 /**
- * Return the name of a function node.
+ * Whether a call passes an error, or the lack of one, first: `null`, `undefined`,
+ * `new SomeError(...)` or a variable named `err`, `error` or `e`.
  */
-function functionName(node) {
-    return node.id ? node.id.name : '';
+function isErrorFirst(call) {
+    let first = call.arguments[0];
+    if( !first ) {
+        return false;
+    }
+    return (first.type === 'Literal' && first.value === null) ||
+           (first.type === 'NewExpression' && /Error$/.test(_.get(first, 'callee.name', ''))) ||
+           (first.type === 'Identifier' && /^(undefined|err|error|e)$/i.test(first.name));
 }
 
+/**
+ * Parse source code with esprima, keeping the locations and ranges
+ * needed to map nodes back to the original text.
+ *
+ * @param   {String} buf Source code.
+ * @returns {Object}     Esprima program node.
+ */
+function parse(buf) {
+    return esprima.parse(buf, options);
+}
 
 /**
- * Generates an integer value based on some constraint.
+ * Return the name of a function node: its own name, or the name it is
+ * assigned to, declared as or defined under in its parent node.
  *
- * @param   {Number}  constraintValue Constraint integer.
- * @param   {Boolean} greaterThan     Whether or not the concrete integer is greater than the constraint.
- * @returns {Number}                  Integer satisfying constraints.
+ * @param   {Object} node     Esprima function node.
+ * @param   {Object} [parent] Parent node of the function.
+ * @returns {String}          Function name, or '' when it has none.
  */
-function createConcreteIntegerValue(constraintValue, greaterThan) {
-    if( greaterThan ) return Random.integer(constraintValue + 1, constraintValue + 10)(engine);
-    else return Random.integer(constraintValue - 10, constraintValue - 1)(engine);
+function functionName(node, parent) {
+    if( node.id ) {
+        return node.id.name;
+    }
+    if( !parent ) {
+        return '';
+    }
+    if( parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier' ) {
+        return parent.id.name;
+    }
+    if( parent.type === 'AssignmentExpression' && parent.left.type === 'MemberExpression' && !parent.left.computed ) {
+        return parent.left.property.name;
+    }
+    if( parent.type === 'AssignmentExpression' && parent.left.type === 'Identifier' ) {
+        return parent.left.name;
+    }
+    if( _.includes(['Property', 'MethodDefinition'], parent.type) && !parent.computed ) {
+        return parent.key.type === 'Identifier' ? parent.key.name : String(parent.key.value);
+    }
+    return '';
+}
+
+
+/**
+ * Return the name of a parameter node, including defaulted and rest parameters.
+ * Destructured parameters are named by their position.
+ */
+function paramName(param, index) {
+    if( param.type === 'AssignmentPattern' ) {
+        return paramName(param.left, index);
+    }
+    if( param.type === 'RestElement' ) {
+        return paramName(param.argument, index);
+    }
+    return param.type === 'Identifier' ? param.name : `arg${index}`;
 }
 
 
 // Export
-module.exports = constraints;
\ No newline at end of file
+module.exports = constraints;
+module.exports.parse = parse;
+module.exports.traverse = dataflow.walk;
+module.exports.functionName = functionName;
\ No newline at end of file
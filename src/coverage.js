@@ -0,0 +1,333 @@
+// Core/NPM Modules
+const fs       = require('fs');
+const istanbul = require('istanbul');
+const Module   = require('module');
+const path     = require('path');
+const _        = require('lodash');
+
+
+// Local Modules
+const constraints   = require('./constraint');
+const functionPaths = require('./paths');
+const oracle        = require('./oracle');
+const random        = require('./random');
+const solver        = require('./solver');
+
+
+
+// Name of the global istanbul counts branches in while the loop runs.
+const coverageVariable = '__testgenCoverage';
+
+// Most candidates tried per function in a round, from the constraint values and from fuzzing.
+const poolPerRound = 50;
+const fuzzPerRound = 50;
+
+// Most rounds before giving up on the remaining branches.
+const maxRounds = 10;
+
+
+/**
+ * Grow a set of test cases under istanbul branch coverage feedback.
+ *
+ * After running the seeds, each round measures which branches are still
+ * uncovered and tries more inputs for the functions they are in: unused
+ * combinations of the values `constraints` found, then fuzzed variants of the
+ * inputs run so far. Inputs covering a new branch are kept. The loop stops when
+ * a round brings no improvement, everything is covered, or after 10 rounds.
+ *
+ * @param   {String}   filePath            Path of the module under test.
+ * @param   {Object}   functionConstraints Constraints object as returned by `constraints`.
+ * @param   {Object[]} seeds               Test cases to start from, in the format of `generateCases`; all are kept.
+ * @param   {Object[]} pool                More test cases to try, e.g. the full product of the constraint values.
+ * @returns {Object}                       `{ cases, covered, total, uncovered }`: the test cases, the number of covered
+ *                                         and of all branches, and each uncovered branch as
+ *                                         `{ line, type, expression, outcome, reason }`.
+ */
+function coverageGuided(filePath, functionConstraints, seeds, pool) {
+
+    let buf = fs.readFileSync(filePath, "utf8");
+    let instrumenter = new istanbul.Instrumenter({ coverageVariable: coverageVariable });
+
+    // Start from zero counts, also when the module was measured before.
+    global[coverageVariable] = global[coverageVariable] || {};
+    delete global[coverageVariable][filePath];
+    let subject = load(filePath, instrumenter.instrumentSync(buf, filePath));
+    let counts = global[coverageVariable][filePath];
+    let branchMap = counts.branchMap;
+
+    let isCovered = arm => counts.b[arm.id][arm.index] > 0;
+    let arms = _.flatMap(_.keys(branchMap), id => _.map(branchMap[id].locations, (location, index) => ({ id: id, index: index })));
+
+    // Run test cases, keeping the ones which cover new branches (or all of them when asked).
+    let tried = {};
+    let errors = {};
+    let cases = [];
+    let run = (candidates, keepAll) => {
+        let improved = false;
+        for (let testCase of candidates) {
+            let key = caseKey(testCase);
+            if( tried[key] ) continue;
+            tried[key] = true;
+
+            let before = _.filter(arms, isCovered).length;
+            let outcome = oracle.observe(subject, testCase.accessor, testCase.args, testCase.mockSetup, testCase.setup);
+            let gained = _.filter(arms, isCovered).length > before;
+
+            if( outcome.threw ) {
+                errors[testCase.funcName] = errors[testCase.funcName] || outcome.error;
+            }
+            if( gained || keepAll ) {
+                cases.push(testCase);
+            }
+            improved = improved || gained;
+        }
+        return improved;
+    };
+
+    run(_.map(seeds, seed => _.defaults({}, seed, { accessor: _.get(functionConstraints, [seed.funcName, 'accessor']) })), true);
+
+    // Innermost generated-for function around a line, to target the ones holding uncovered branches.
+    let functions = _.sortBy(_.keys(functionConstraints), funcName => -functionConstraints[funcName].loc.start.line);
+    let functionOf = line => _.find(functions, funcName =>
+        functionConstraints[funcName].loc.start.line <= line && line <= functionConstraints[funcName].loc.end.line);
+
+    for (let round = 0; round < maxRounds; round++) {
+        let targets = _.uniq(_.map(_.reject(arms, isCovered), arm => functionOf(branchMap[arm.id].line)));
+        targets = _.compact(targets);
+        if( _.isEmpty(targets) ) {
+            break;
+        }
+
+        let candidates = [];
+        for (let funcName of targets) {
+            let untried = _.filter(pool, c => c.funcName === funcName && !tried[caseKey(c)]);
+            candidates.push(..._.take(untried, poolPerRound));
+            candidates.push(...fuzz(_.filter(cases, { funcName: funcName }), fuzzPerRound));
+        }
+        if( !run(candidates, false) ) {
+            break;
+        }
+    }
+
+    // Explain each branch left uncovered.
+    let result = constraints.parse(buf);
+    let uncovered = _.map(_.reject(arms, isCovered), arm => {
+        let branch = branchMap[arm.id];
+        let funcName = functionOf(branch.line);
+        let described = describeBranch(result, buf, branch, arm.index);
+        let reached = _.some(branch.locations, (location, index) => counts.b[arm.id][index] > 0);
+        return _.assign(described, {
+            line:   branch.line,
+            type:   branch.type,
+            reason: explain(described, funcName, reached, functionConstraints, subject, errors)
+        });
+    });
+
+    return {
+        cases:     cases,
+        covered:   _.filter(arms, isCovered).length,
+        total:     arms.length,
+        uncovered: uncovered
+    };
+}
+
+
+/**
+ * Fuzz test cases: vary one argument of each, keeping the mock file system.
+ *
+ * @param   {Object[]} cases Test cases to start from.
+ * @param   {Number}   count Most fuzzed test cases to produce.
+ * @returns {Object[]}       Fuzzed test cases, a random choice among every variation of every argument.
+ */
+function fuzz(cases, count) {
+
+    let fuzzed = [];
+    for (let testCase of cases) {
+        let values = oracle.argumentValues(testCase.args);
+        _.forEach(values, (value, i) => {
+            for (let variant of variations(value)) {
+                let args = _.map(values, (v, j) => oracle.serialize(j === i ? variant : v));
+                if( !_.includes(args, null) ) {
+                    fuzzed.push(_.assign({}, testCase, { args: args.join(', ') }));
+                }
+            }
+        });
+    }
+    return _.take(random.shuffle(_.uniqBy(fuzzed, caseKey)), count);
+}
+
+
+/**
+ * Variations of a value: neighbours of the same type, and values of other types.
+ */
+function variations(value) {
+
+    let others = [undefined, null, 0, 1, '', 'a', true, false, {}, []];
+    if( typeof value === 'number' && !isNaN(value) ) {
+        return [value + 1, value - 1, -value, value * 2, value + random.integer(-100, 100)].concat(others);
+    }
+    if( typeof value === 'string' ) {
+        return [
+            value.substring(1),
+            value + random.string(1),
+            value.toUpperCase(),
+            random.string(10, '0123456789'),
+            value + value
+        ].concat(others);
+    }
+    if( _.isPlainObject(value) && !_.isEmpty(value) ) {
+        return _.flatMap(_.keys(value), key => _.map(variations(value[key]), v => _.assign({}, value, { [key]: v }))).concat(others);
+    }
+    return others;
+}
+
+
+/**
+ * Find the source expression of a branch from istanbul's branch map.
+ *
+ * @param   {Object} result Esprima program node.
+ * @param   {String} buf    Source code.
+ * @param   {Object} branch Istanbul branch: `{ line, type, locations }`.
+ * @param   {Number} index  Index of the branch's arm.
+ * @returns {Object}        `{ expression, outcome }`: the condition's source and the outcome taking the arm, or
+ *                          for operands of `&&`/`||` and switch cases the operand or case test and null.
+ */
+function describeBranch(result, buf, branch, index) {
+
+    let at = (node, location) => node.loc && node.loc.start.line === location.start.line && node.loc.start.column === location.start.column;
+    let text = node => buf.substring(node.range[0], node.range[1]);
+    let found = null;
+
+    constraints.traverse(result, function (node) {
+        if( found ) return;
+        if( branch.type === 'if' && node.type === 'IfStatement' && at(node, branch.locations[0]) ) {
+            found = { expression: text(node.test), outcome: index === 0 };
+        }
+        if( branch.type === 'cond-expr' && node.type === 'ConditionalExpression' && at(node.consequent, branch.locations[0]) ) {
+            found = { expression: text(node.test), outcome: index === 0 };
+        }
+        if( branch.type === 'binary-expr' && node.type === 'LogicalExpression' && at(node, branch.locations[index]) ) {
+            found = { expression: text(node), outcome: null };
+        }
+        if( branch.type === 'switch' && node.type === 'SwitchStatement' && at(node, { start: { line: branch.line, column: node.loc.start.column } }) ) {
+            let test = node.cases[index] && node.cases[index].test;
+            found = { expression: test ? `case ${text(test)}` : 'default', outcome: null };
+        }
+    });
+
+    // Operands of && and || are the innermost expression starting at their location.
+    if( branch.type === 'binary-expr' ) {
+        constraints.traverse(result, function (node) {
+            if( node.range && at(node, branch.locations[index]) && node.loc.end.line === branch.locations[index].end.line &&
+                node.loc.end.column === branch.locations[index].end.column ) {
+                found = { expression: text(node), outcome: null };
+            }
+        });
+    }
+
+    return found || { expression: null, outcome: null };
+}
+
+
+/**
+ * Explain why no input reached a branch.
+ *
+ * @param   {Object}  described           Branch as returned by `describeBranch`.
+ * @param   {String}  funcName            Name of the function holding the branch.
+ * @param   {Boolean} reached             Whether some other arm of the same branch point was taken.
+ * @param   {Object}  functionConstraints Constraints object as returned by `constraints`.
+ * @param   {Object}  subject             Loaded subject module.
+ * @param   {Object}  errors              First error thrown by each function.
+ * @returns {String}                      Reason.
+ */
+function explain(described, funcName, reached, functionConstraints, subject, errors) {
+
+    if( !funcName ) {
+        return 'it is not inside a function the generator calls';
+    }
+    let accessor = functionConstraints[funcName].accessor;
+    if( !accessor || !oracle.resolve(subject, accessor) ) {
+        return `${funcName} is not exported, so no test calls it`;
+    }
+    if( !reached ) {
+        return errors[funcName]
+            ? `no call got this far; calls to ${funcName} threw, e.g. ${errors[funcName].name}: ${errors[funcName].message}`
+            : 'no call got this far, the conditions before it were never met';
+    }
+    if( described.expression === null || described.outcome === null ) {
+        return 'no generated input took it';
+    }
+
+    let entry = functionConstraints[funcName];
+    let wanted = described.outcome ? 'true' : 'false';
+    let matching = _.filter(entry.paths, p => _.some(p.conditions, c => c.expression === described.expression));
+
+    // Conditions over more than the parameters: name what else they depend on.
+    let conditions = _.filter(_.flatMap(matching, 'conditions'), c => c.expression === described.expression);
+    if( conditions.length && _.every(conditions, c => c.test === null) ) {
+        let others = [];
+        try {
+            let node = constraints.parse(`(${described.expression})`).body[0].expression;
+            others = _.difference(functionPaths.freeNames(node), entry.params);
+        }
+        catch (e) {
+            others = [];
+        }
+        let names = others.length ? others.map(n => `\`${n}\``).join(', ') : 'values';
+        return `\`${described.expression}\` depends on ${names}, which no parameter controls, and no input made it ${wanted}`;
+    }
+
+    // Conditions over the parameters: either nothing makes it so, or no value did.
+    let reaching = _.filter(matching, p => _.some(p.conditions, c => c.expression === described.expression && c.outcome === described.outcome));
+    if( matching.length && _.every(reaching, p => !solver.solve(entry.params, _.filter(p.conditions, c => c.test !== null)).feasible) ) {
+        return `no feasible path makes \`${described.expression}\` ${wanted}`;
+    }
+    try {
+        let node = constraints.parse(`(${described.expression})`).body[0].expression;
+        if( !solver.solve(entry.params, _.filter(conjuncts(node, described.outcome), c => c.test !== null)).feasible ) {
+            return `no parameter values make \`${described.expression}\` ${wanted}`;
+        }
+    }
+    catch (e) {
+        // Not an expression on its own, e.g. a switch case.
+    }
+    return `no generated input made \`${described.expression}\` ${wanted}`;
+}
+
+
+/**
+ * Split a condition with an outcome into conditions which must all hold: `a && b` true, `a || b` false, `!a`.
+ */
+function conjuncts(node, outcome) {
+    if( node.type === 'UnaryExpression' && node.operator === '!' ) {
+        return conjuncts(node.argument, !outcome);
+    }
+    if( node.type === 'LogicalExpression' && (node.operator === '&&') === outcome ) {
+        return conjuncts(node.left, outcome).concat(conjuncts(node.right, outcome));
+    }
+    return [{ test: functionPaths.toSource(node), outcome: outcome }];
+}
+
+
+/**
+ * Key telling test cases apart.
+ */
+function caseKey(testCase) {
+    return `${testCase.setup} ${testCase.accessor}(${testCase.args}) ${testCase.mockSetup}`;
+}
+
+
+/**
+ * Load instrumented source as the module at a path, so its own requires still resolve.
+ */
+function load(filePath, source) {
+    let instrumented = new Module(filePath, module);
+    instrumented.filename = filePath;
+    instrumented.paths = Module._nodeModulePaths(path.dirname(filePath));
+    instrumented._compile(source, filePath);
+    return instrumented.exports;
+}
+
+
+// Export
+module.exports = coverageGuided;
@@ -0,0 +1,231 @@
+// Core/NPM Modules
+const _       = require('lodash');
+
+
+
+// String methods whose result is part of the string: the text at a position.
+const sliceMethods     = ['substring', 'substr', 'slice', 'charAt'];
+const transformMethods = ['toLowerCase', 'toUpperCase', 'toLocaleLowerCase', 'toLocaleUpperCase',
+                          'trim', 'trimStart', 'trimEnd', 'trimLeft', 'trimRight'];
+
+// Characters padding the parameter values around the text a comparison looks for.
+const padding = ['0', 'a', 'b', 'x', '-'];
+
+
+/**
+ * Find where each local variable of a function is defined: its declaration's
+ * initializer and every plain assignment to it, in source order. Parameters
+ * are left out, since they stand for the value the function was called with.
+ *
+ * @param   {Object}   funcNode Esprima function node.
+ * @param   {String[]} params   Parameter names of the function.
+ * @returns {Object}            Definitions by variable name: `[{ value, position }]`, with `value` the assigned
+ *                              expression node and `position` the source offset where the definition ends.
+ */
+function definitions(funcNode, params) {
+    let found = {};
+    let define = (name, value, range) => {
+        if( !_.includes(params, name) ) {
+            found[name] = found[name] || [];
+            found[name].push({ value: value, position: range[1] });
+        }
+    };
+    walk(funcNode.body, node => {
+        if( node.type === 'VariableDeclarator' && node.id.type === 'Identifier' && node.init ) {
+            define(node.id.name, node.init, node.range);
+        }
+        if( node.type === 'AssignmentExpression' && node.operator === '=' && node.left.type === 'Identifier' ) {
+            define(node.left.name, node.right, node.range);
+        }
+    });
+    return _.mapValues(found, defs => _.sortBy(defs, 'position'));
+}
+
+
+/**
+ * The value of the definition of a variable reaching a use: the last one ending before it.
+ *
+ * @param   {Object} defs     Definitions, as returned by `definitions`.
+ * @param   {String} name     Variable name.
+ * @param   {Number} position Source offset of the use.
+ * @returns {Object}          Esprima expression node, or null when no definition precedes the use.
+ */
+function reaching(defs, name, position) {
+    let def = _.findLast(defs[name] || [], d => d.position <= position);
+    return def ? def.value : null;
+}
+
+
+/**
+ * Follow a value back to the parameter it is computed from, through local variables,
+ * the string methods taking part of it (`substring`, `substr`, `slice`, `charAt`, `[i]`),
+ * changing its case or trimming it, concatenation with string literals, and calls
+ * passing it on to other functions, whose effect is unknown.
+ *
+ * @param   {Object}   node   Esprima expression node.
+ * @param   {Object}   defs   Definitions, as returned by `definitions`.
+ * @param   {String[]} params Parameter names of the function.
+ * @returns {Object}          `{ ident, steps, local }`: the parameter, the operations from it to the value, innermost
+ *                            first, and whether the value was reached through a local variable; or null when the
+ *                            value cannot be traced to a single parameter.
+ */
+function trace(node, defs, params, seen = []) {
+
+    if( node.type === 'Identifier' ) {
+        if( _.includes(params, node.name) ) {
+            return { ident: node.name, steps: [], local: false };
+        }
+        let value = reaching(defs, node.name, node.range[0]);
+        if( !value || _.includes(seen, value) ) {
+            return null;
+        }
+        let traced = trace(value, defs, params, seen.concat([value]));
+        return traced ? _.assign(traced, { local: true }) : null;
+    }
+
+    // Index access, `value[1]`.
+    if( node.type === 'MemberExpression' && node.computed && node.property.type === 'Literal' && Number.isInteger(node.property.value) ) {
+        return step(trace(node.object, defs, params, seen), { method: 'charAt', args: [node.property.value] });
+    }
+
+    // Concatenation with a literal, `'+' + value` or `value + '!'`.
+    if( node.type === 'BinaryExpression' && node.operator === '+' ) {
+        if( isString(node.left) ) {
+            return step(trace(node.right, defs, params, seen), { method: 'prefix', args: [node.left.value] });
+        }
+        if( isString(node.right) ) {
+            return step(trace(node.left, defs, params, seen), { method: 'suffix', args: [node.right.value] });
+        }
+        return null;
+    }
+
+    if( node.type !== 'CallExpression' ) {
+        return null;
+    }
+
+    // String methods with literal arguments.
+    let method = node.callee.type === 'MemberExpression' && !node.callee.computed ? node.callee.property.name : null;
+    if( _.includes(sliceMethods.concat(transformMethods), method) && _.every(node.arguments, arg => arg.type === 'Literal') ) {
+        return step(trace(node.callee.object, defs, params, seen), { method: method, args: _.map(node.arguments, 'value') });
+    }
+
+    // Other calls: the value is computed from the one argument, or object the method is called on,
+    // which traces to a parameter, in an unknown way.
+    let inputs = method ? [node.callee.object].concat(node.arguments) : node.arguments;
+    let traced = _.compact(_.map(inputs, input => trace(input, defs, params, seen)));
+    if( traced.length !== 1 ) {
+        return null;
+    }
+    return step(traced[0], { method: null, args: [] });
+}
+
+
+/**
+ * Find parameter values for which the traced operations give a value.
+ *
+ * Known operations are undone: the value is put at the position `substring` and
+ * friends take it from, given both cases for case changes, and stripped of the
+ * concatenated literals. Past a call of unknown effect the value is kept where it
+ * is, and also moved to the start, in case the call moves it.
+ *
+ * @param   {Object[]} steps Operations, as found by `trace`.
+ * @param   {*}        value Value the operations should give.
+ * @returns {Array}          Parameter values, without duplicates.
+ */
+function preimages(steps, value) {
+
+    if( typeof value !== 'string' ) {
+        return steps.length ? [] : [value];
+    }
+
+    let pad = /^\d+$/.test(value) ? '0' : _.find(padding, c => !_.includes(value, c)) || ' ';
+    let values = [value];
+    for (let { method, args } of _.reverse(steps.slice())) {
+        values = _.flatMap(values, text => {
+            if( _.includes(sliceMethods, method) ) {
+                let start = Math.max(Number.isInteger(args[0]) ? args[0] : 0, 0);
+                return [_.repeat(pad, start) + text + pad];
+            }
+            if( _.includes(['toLowerCase', 'toLocaleLowerCase'], method) ) {
+                return [text, text.toUpperCase()];
+            }
+            if( _.includes(['toUpperCase', 'toLocaleUpperCase'], method) ) {
+                return [text, text.toLowerCase()];
+            }
+            if( _.includes(transformMethods, method) ) {
+                return [text, ` ${text} `];
+            }
+            if( method === 'prefix' ) {
+                return _.startsWith(text, args[0]) ? [text.substring(args[0].length)] : [];
+            }
+            if( method === 'suffix' ) {
+                return _.endsWith(text, args[0]) ? [text.substring(0, text.length - args[0].length)] : [];
+            }
+            let moved = _.trimStart(text, pad);
+            return [text, moved + _.repeat(pad, text.length - moved.length)];
+        });
+    }
+    return _.uniq(values);
+}
+
+
+/**
+ * Add an operation to a trace, unless there is none.
+ */
+function step(traced, operation) {
+    return traced ? _.assign(traced, { steps: traced.steps.concat([operation]) }) : null;
+}
+
+
+/**
+ * Whether a node is a string literal.
+ */
+function isString(node) {
+    return node.type === 'Literal' && typeof node.value === 'string';
+}
+
+
+/**
+ * Visit every node below a node, with its parent.
+ *
+ * @param {Object}         node                Esprima node.
+ * @param {Function}       visitor             Visitor called at each node, with the node, its parent node and the
+ *                                             parent's key holding it.
+ * @param {Object}         [options]           Walk options.
+ * @param {Boolean|String} [options.functions] Which nested functions to visit: all (true, by default), none (false),
+ *                                             or 'arrow' functions only, which share `this` with the function around
+ *                                             them.
+ * @param {Boolean}        [options.caught]    Whether to visit the blocks of `try` statements with a `catch` clause,
+ *                                             true by default.
+ * @param {Object}         [parent]            Parent node of the node.
+ * @param {String}         [parentKey]         Key of the parent holding the node.
+ */
+function walk(node, visitor, options = {}, parent = null, parentKey = null) {
+    if( !node || typeof node.type !== 'string' ) {
+        return;
+    }
+    visitor(node, parent, parentKey);
+    let skipped = options.functions === false ? /Function/ : options.functions === 'arrow' ? /^Function/ : null;
+    for (let key of _.keys(node)) {
+        let child = node[key];
+        if( key === 'range' || key === 'loc' || typeof child !== 'object' || child === null ) {
+            continue;
+        }
+        if( options.caught === false && node.type === 'TryStatement' && key === 'block' && node.handler ) {
+            continue;
+        }
+        _.forEach(Array.isArray(child) ? child : [child], item => {
+            if( !skipped || !skipped.test(_.get(item, 'type', '')) ) {
+                walk(item, visitor, options, node, key);
+            }
+        });
+    }
+}
+
+
+// Export
+module.exports.definitions = definitions;
+module.exports.reaching    = reaching;
+module.exports.trace       = trace;
+module.exports.preimages   = preimages;
+module.exports.walk        = walk;
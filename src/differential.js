@@ -0,0 +1,123 @@
+// Core/NPM Modules
+const path    = require('path');
+const _       = require('lodash');
+
+
+// Local Modules
+const constraints       = require('./constraint');
+const generateTestCases = require('./testgenerator');
+const oracle            = require('./oracle');
+
+
+
+/**
+ * Run the same generated inputs against two implementations of a module and
+ * collect every call where their return values or thrown errors differ.
+ *
+ * Inputs come from the constraints of the first module, or of both when
+ * `options.both` is set; then each parameter gets the values found for the
+ * parameter at the same position in either module, since the names may differ.
+ *
+ * @param   {String}  leftPath       Path of the reference implementation.
+ * @param   {String}  rightPath      Path of the implementation to compare.
+ * @param   {Object}  [options]      Comparison options.
+ * @param   {Boolean} [options.both] Whether to extract constraints from both modules.
+ * @returns {Object}                 Report with the number of `cases` run and the `differences`:
+ *                                   `{ funcName, args, mockSetup, setup, left, right }`, with `left` and
+ *                                   `right` the outcomes as returned by `oracle.observe`.
+ */
+function differentialTest(leftPath, rightPath, options = {}) {
+
+    leftPath  = path.resolve(leftPath);
+    rightPath = path.resolve(rightPath);
+
+    let left  = require(leftPath);
+    let right = require(rightPath);
+
+    // Only functions both modules export can be compared.
+    let functionConstraints = _.pickBy(constraints(leftPath), entry =>
+        entry.accessor && oracle.resolve(left, entry.accessor) && oracle.resolve(right, entry.accessor));
+
+    if( options.both ) {
+        let rightConstraints = constraints(rightPath);
+        for (let funcName in functionConstraints) {
+            if( rightConstraints[funcName] ) {
+                mergeByPosition(functionConstraints[funcName], rightConstraints[funcName]);
+            }
+        }
+    }
+
+    let cases = generateTestCases.generateCases(functionConstraints);
+    let differences = [];
+    for (let testCase of cases) {
+        let { funcName, accessor, args, mockSetup, setup } = testCase;
+
+        // Asynchronous calls are compared on how they settle.
+        let leftOutcome  = testCase.async ? oracle.settle(leftPath,  testCase) : oracle.observe(left,  accessor, args, mockSetup, setup);
+        let rightOutcome = testCase.async ? oracle.settle(rightPath, testCase) : oracle.observe(right, accessor, args, mockSetup, setup);
+
+        if( !sameOutcome(leftOutcome, rightOutcome) ) {
+            differences.push({
+                funcName:  funcName,
+                args:      args,
+                mockSetup: mockSetup,
+                setup:     setup || null,
+                left:      leftOutcome,
+                right:     rightOutcome
+            });
+        }
+    }
+
+    return { cases: cases.length, differences: differences };
+}
+
+
+/**
+ * Add the constraints of another implementation of a function to its entry,
+ * matching parameters by position.
+ *
+ * @param {Object} entry Function entry as returned by `constraints`, updated in place.
+ * @param {Object} other Function entry of the other implementation.
+ */
+function mergeByPosition(entry, other) {
+    _.forEach(entry.params, (param, i) => {
+        let otherParam = other.params[i];
+        if( otherParam !== undefined ) {
+            entry.constraints[param] = entry.constraints[param].concat(other.constraints[otherParam]);
+        }
+    });
+}
+
+
+/**
+ * Whether two recorded outcomes are the same: equal return values,
+ * or errors of the same type with the same message.
+ *
+ * @param   {Object}  a Outcome as returned by `oracle.observe`.
+ * @param   {Object}  b Outcome as returned by `oracle.observe`.
+ * @returns {Boolean}
+ */
+function sameOutcome(a, b) {
+    if( a.threw !== b.threw ) return false;
+    return a.threw ? _.isEqual(a.error, b.error) : _.isEqual(a.value, b.value);
+}
+
+
+/**
+ * Describe an outcome for the report.
+ *
+ * @param   {Object} outcome Outcome as returned by `oracle.observe`.
+ * @returns {String}         E.g. `returned 7` or `threw TypeError: ...`.
+ */
+function describeOutcome(outcome) {
+    if( outcome.threw ) {
+        return outcome.error.name === null ? 'threw a non-error value' : `threw ${outcome.error.name}: ${outcome.error.message}`;
+    }
+    let value = oracle.serialize(outcome.value);
+    return `returned ${value === null ? String(outcome.value) : value}`;
+}
+
+
+// Export
+module.exports = differentialTest;
+module.exports.describeOutcome = describeOutcome;
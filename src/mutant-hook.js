@@ -0,0 +1,18 @@
+// Preloaded with `node --require` by the mutation runner. When MUTANT_SOURCE names
+// a file, its contents are compiled in place of the module at MUTANT_TARGET, so the
+// unchanged test file and the module's own relative requires keep working.
+
+// Core/NPM Modules
+const fs     = require('fs');
+const Module = require('module');
+
+
+if( process.env.MUTANT_TARGET && process.env.MUTANT_SOURCE ) {
+    const target = process.env.MUTANT_TARGET;
+    const source = fs.readFileSync(process.env.MUTANT_SOURCE, "utf8");
+    const compile = Module.prototype._compile;
+
+    Module.prototype._compile = function(content, filename) {
+        return compile.call(this, filename === target ? source : content, filename);
+    };
+}
@@ -0,0 +1,317 @@
+// Core/NPM Modules
+const child_process = require('child_process');
+const fs            = require('fs');
+const os            = require('os');
+const path          = require('path');
+const _             = require('lodash');
+
+
+// Local Modules
+const constraints = require('./constraint');
+
+
+
+// Replacement operators for each mutation operator class.
+const relationalMutations = {
+    '<':   ['<=', '>='],
+    '<=':  ['<', '>'],
+    '>':   ['>=', '<='],
+    '>=':  ['>', '<'],
+    '==':  ['!='],
+    '!=':  ['=='],
+    '===': ['!=='],
+    '!==': ['===']
+};
+const logicalMutations = {
+    '&&': ['||'],
+    '||': ['&&']
+};
+
+// Preloaded into each test process to swap the subject's source for a mutant's.
+const hookPath = path.join(__dirname, 'mutant-hook.js');
+
+
+/**
+ * Mutant class. Represents a single syntactic change to the subject.
+ *
+ * @property {Number}                                            id          Sequence number of the mutant.
+ * @property {'relational'|'logical'|'constant'|'member-name'}   operator    Mutation operator class.
+ * @property {String}                                            funcName    Name of the enclosing function.
+ * @property {Number}                                            line        Line of the mutated code.
+ * @property {String}                                            original    Original source text of the mutated node.
+ * @property {String}                                            replacement Replacement source text.
+ * @property {String}                                            source      Full source of the mutated module.
+ */
+class Mutant {
+    constructor(properties){
+        this.id = properties.id;
+        this.operator = properties.operator;
+        this.funcName = properties.funcName;
+        this.line = properties.line;
+        this.original = properties.original;
+        this.replacement = properties.replacement;
+        this.source = properties.source;
+    }
+}
+
+
+/**
+ * Generate all mutants of a module by applying the relational, logical,
+ * constant and member-name mutation operators to its syntax tree.
+ *
+ * @param   {String} filePath Path of the module to mutate.
+ * @returns {Mutant[]}        Mutants, in source order.
+ */
+function generateMutants(filePath) {
+
+    let buf = fs.readFileSync(filePath, "utf8");
+    let result = constraints.parse(buf);
+
+    // Collect functions so each mutation can be attributed to its innermost enclosing function.
+    let functions = [];
+    let names = new Map();
+    constraints.traverse(result, function (node, parent) {
+        if( _.includes(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'], node.type) ) {
+            functions.push(node);
+            names.set(node, constraints.functionName(node, parent));
+        }
+    });
+    let enclosing = (node) => _.last(_.sortBy(_.filter(functions, f => f.range[0] <= node.range[0] && node.range[1] <= f.range[1]),
+                                              f => f.range[0]));
+
+    // Literals which are not program logic (module names, directives, keys) and called methods.
+    let skipped = [];
+    constraints.traverse(result, function (node) {
+        if( node.type === 'CallExpression' ) {
+            skipped.push(node.callee);
+        }
+        if( node.type === 'CallExpression' && _.get(node, 'callee.name') === 'require' ) {
+            skipped.push(...node.arguments);
+        }
+        if( node.type === 'ExpressionStatement' && node.directive ) {
+            skipped.push(node.expression);
+        }
+        if( node.type === 'Property' && !node.computed ) {
+            skipped.push(node.key);
+        }
+    });
+
+    // Each site is a range of the original source and its replacement text.
+    let sites = [];
+    let addSite = (operator, node, start, end, text) => {
+        let func = enclosing(node);
+        sites.push({
+            operator:    operator,
+            funcName:    func ? (names.get(func) || '(anonymous)') : '(module)',
+            line:        node.loc.start.line,
+            start:       start,
+            end:         end,
+            text:        text,
+            original:    buf.substring(node.range[0], node.range[1]),
+            replacement: buf.substring(node.range[0], start) + text + buf.substring(end, node.range[1])
+        });
+    };
+
+    constraints.traverse(result, function (node) {
+
+        // Relational operators: boundary shifts and negations.
+        if( node.type === 'BinaryExpression' && relationalMutations[node.operator] ) {
+            let at = operatorOffset(buf, node);
+            for (let replacement of relationalMutations[node.operator]) {
+                addSite('relational', node, at, at + node.operator.length, replacement);
+            }
+        }
+
+        // Logical operators: swap conjunction and disjunction, drop negations.
+        if( node.type === 'LogicalExpression' && logicalMutations[node.operator] ) {
+            let at = operatorOffset(buf, node);
+            for (let replacement of logicalMutations[node.operator]) {
+                addSite('logical', node, at, at + node.operator.length, replacement);
+            }
+        }
+        if( node.type === 'UnaryExpression' && node.operator === '!' ) {
+            addSite('logical', node, node.range[0], node.range[0] + 1, '');
+        }
+
+        // Constants: shift numbers by one, flip booleans, empty and extend strings.
+        if( node.type === 'Literal' && !_.includes(skipped, node) ) {
+            if( typeof node.value === 'number' ) {
+                for (let value of [node.value + 1, node.value - 1]) {
+                    addSite('constant', node, node.range[0], node.range[1], value < 0 ? `(${value})` : String(value));
+                }
+            }
+            if( typeof node.value === 'boolean' ) {
+                addSite('constant', node, node.range[0], node.range[1], String(!node.value));
+            }
+            if( typeof node.value === 'string' ) {
+                if( node.value !== '' ) {
+                    addSite('constant', node, node.range[0], node.range[1], "''");
+                }
+                addSite('constant', node, node.range[0], node.range[1], JSON.stringify(node.value + '_mutant'));
+            }
+        }
+
+        // Member names: rename properties read from parameters and from `this`, like an option key.
+        if( node.type === 'MemberExpression' && !node.computed && !_.includes(skipped, node) ) {
+            let func = enclosing(node);
+            let owner = node.object.type === 'ThisExpression' ||
+                (func && node.object.type === 'Identifier' && _.includes(_.map(func.params, 'name'), node.object.name));
+            if( owner ) {
+                addSite('member-name', node, node.property.range[0], node.property.range[1], `${node.property.name}_mutant`);
+            }
+        }
+    });
+
+    // Build the mutated sources.
+    return _.map(_.sortBy(sites, 'start'), (site, i) => new Mutant({
+        id:          i + 1,
+        operator:    site.operator,
+        funcName:    site.funcName,
+        line:        site.line,
+        original:    site.original,
+        replacement: site.replacement,
+        source:      buf.substring(0, site.start) + site.text + buf.substring(site.end)
+    }));
+}
+
+
+/**
+ * Find the offset of a binary or logical operator in the source, which lies
+ * between the end of the left operand and the start of the right operand.
+ *
+ * @param   {String} buf  Source code.
+ * @param   {Object} node Esprima BinaryExpression or LogicalExpression node.
+ * @returns {Number}      Offset of the operator.
+ */
+function operatorOffset(buf, node) {
+    let gap = buf.substring(node.left.range[1], node.right.range[0]);
+    return node.left.range[1] + gap.indexOf(node.operator);
+}
+
+
+/**
+ * Run a test file against each mutant of a module, each in its own node process,
+ * and report which mutants were killed (the tests failed) and which survived. Plain
+ * scripts and node:test suites are run by node, mocha suites by mocha; Jest suites are
+ * refused, Jest loading the module itself rather than the mutant.
+ *
+ * @param   {String} filePath          Path of the module under test.
+ * @param   {String} testPath          Path of the generated test file.
+ * @param   {Object} [options]         Run options.
+ * @param   {Number} [options.timeout] Milliseconds before a mutant's test run counts as killed.
+ * @returns {Object}                   Report with `functions` (killed and survived mutants per function),
+ *                                     `killed`, `total` and `score`.
+ */
+function runMutants(filePath, testPath, options = {}) {
+
+    let timeout = options.timeout || 10000;
+    filePath = path.resolve(filePath);
+    testPath = path.resolve(testPath);
+
+    // The suite has to pass on the original, otherwise every mutant would count as killed.
+    let runner = runnerArgs(testPath);
+    let baseline = runTests(testPath, filePath, null, timeout, runner);
+    if( !baseline.passed ) {
+        throw new Error(`${path.basename(testPath)} fails on the unmutated ${path.basename(filePath)}:\n${baseline.output}`);
+    }
+
+    // Run the suite once per mutant.
+    let functions = {};
+    let killed = 0;
+    let mutants = generateMutants(filePath);
+    for (let mutant of mutants) {
+        let run = runTests(testPath, filePath, mutant.source, timeout, runner);
+        let entry = functions[mutant.funcName] = functions[mutant.funcName] || { killed: [], survived: [] };
+        if( run.passed ) {
+            entry.survived.push(mutant);
+        }
+        else {
+            entry.killed.push(mutant);
+            killed++;
+        }
+    }
+
+    return {
+        functions: functions,
+        killed:    killed,
+        total:     mutants.length,
+        score:     mutants.length ? killed / mutants.length : 1
+    };
+}
+
+
+/**
+ * The node arguments running a test file in the format it is written in: itself for
+ * a plain script or a node:test suite, which runs its tests when loaded, mocha's
+ * in-process runner for a mocha suite.
+ *
+ * @param   {String}   testPath Path of the test file.
+ * @returns {String[]}          Arguments to node, ending with the test file.
+ */
+function runnerArgs(testPath) {
+
+    let source = fs.readFileSync(testPath, 'utf8');
+    let bdd = /^\s*describe\(/m.test(source);
+    if( !bdd || /require\(\s*['"](node:)?test['"]\s*\)/.test(source) ) {
+        return [testPath];
+    }
+    if( !/^\s*it\(/m.test(source) ) {
+        throw new Error(`${path.basename(testPath)} is a Jest suite, which cannot be scored: Jest loads the module itself ` +
+                        `instead of the mutant. Generate the tests with --format mocha, node or plain.`);
+    }
+
+    // Mocha installed next to the test file, or the one this package runs its own tests with.
+    let mocha;
+    try {
+        mocha = require.resolve('mocha/bin/_mocha', { paths: [path.dirname(testPath), __dirname] });
+    }
+    catch (e) {
+        throw new Error(`${path.basename(testPath)} is a mocha suite, but mocha cannot be found from ${path.dirname(testPath)}`);
+    }
+    return [mocha, testPath];
+}
+
+
+/**
+ * Run a test file in a child process, optionally substituting the module's source.
+ *
+ * @param   {String}   testPath Path of the test file.
+ * @param   {String}   filePath Path of the module under test.
+ * @param   {String}   source   Mutated source to load instead of the module's file, or null.
+ * @param   {Number}   timeout  Milliseconds before the run is stopped.
+ * @param   {String[]} runner   Node arguments running the test file, as returned by `runnerArgs`.
+ * @returns {Object}            `{ passed, output }`.
+ */
+function runTests(testPath, filePath, source, timeout, runner) {
+
+    // Hand the mutant to the preload hook through a temporary file.
+    let sourcePath = null;
+    if( source !== null ) {
+        sourcePath = path.join(os.tmpdir(), `mutant-${process.pid}-${Date.now()}.js`);
+        fs.writeFileSync(sourcePath, source, "utf8");
+    }
+
+    try {
+        let run = child_process.spawnSync(process.execPath, ['--require', hookPath].concat(runner), {
+            cwd:      path.dirname(testPath),
+            timeout:  timeout,
+            encoding: 'utf8',
+            env:      _.assign({}, process.env, { MUTANT_TARGET: filePath, MUTANT_SOURCE: sourcePath || '' })
+        });
+        return {
+            passed: run.status === 0 && !run.error,
+            output: `${run.stdout || ''}${run.stderr || ''}`
+        };
+    }
+    finally {
+        if( sourcePath ) {
+            fs.unlinkSync(sourcePath);
+        }
+    }
+}
+
+
+// Export
+module.exports.Mutant = Mutant;
+module.exports.generateMutants = generateMutants;
+module.exports.runMutants = runMutants;
@@ -0,0 +1,293 @@
+// Core/NPM Modules
+const childProcess = require('child_process');
+const path         = require('path');
+const vm           = require('vm');
+const mock         = require('mock-fs');
+const _            = require('lodash');
+
+
+
+// Prefix of the line a settle-runner process reports its outcome on.
+const outcomePrefix = '__settled__ ';
+
+// Stands for the `callback` a generated test passes to Node-style asynchronous functions.
+const callbackPlaceholder = function callback() {};
+
+
+
+/**
+ * Run one generated call against the subject and record what it did.
+ *
+ * @param   {Object}   subject   Loaded subject module.
+ * @param   {String}   accessor  Expression reaching the function from `subject`, e.g. `subject.obj.method`.
+ * @param   {String}   args      Function argument string, exactly as written into the test file.
+ * @param   {String}   mockSetup Mock file system source passed to `mock(...)`, or null for none.
+ * @param   {String[]} [setup]   Statements run before the call, e.g. preparing `instance`.
+ * @returns {Object}             Outcome: `{ threw: false, value }` or `{ threw: true, error: { name, message } }`,
+ *                               with `inSetup` set when the setup statements threw rather than the call.
+ */
+function observe(subject, accessor, args, mockSetup, setup) {
+
+    // Evaluate the setup and the call the same way the generated test file will,
+    // with a callback which ignores what it is called with.
+    let prepare = vm.runInThisContext(
+        `(function(subject, callback) { ${(setup || []).join(' ')} return function() { return ${accessor}(${args}); }; })`);
+
+    if( mockSetup ) {
+        mock(vm.runInThisContext(`(function(mock) { return ${mockSetup}; })`)(mock));
+    }
+
+    let call = null;
+    try {
+        call = prepare(subject, () => {});
+        let value = call();
+
+        // Promises settle after the mock is gone: keep their rejections from going unhandled.
+        if( value && typeof value.then === 'function' ) {
+            value.then(null, () => {});
+        }
+        return { threw: false, value: value };
+    }
+    catch (e) {
+        let isError = e instanceof Error;
+        let outcome = {
+            threw: true,
+            error: {
+                name:    isError ? e.constructor.name : null,
+                message: isError ? e.message : null
+            }
+        };
+        return call ? outcome : _.assign(outcome, { inSetup: true });
+    }
+    finally {
+        if( mockSetup ) {
+            mock.restore();
+        }
+    }
+}
+
+
+/**
+ * Run one asynchronous generated call to completion and record how it settled.
+ *
+ * The call runs in a node process of its own, which keeps the mock file system
+ * active until the Promise settles or the callback is called, while generation
+ * itself stays synchronous.
+ *
+ * @param   {String} filePath         Path of the module under test.
+ * @param   {Object} testCase         Test case, as returned by `generateCases`, with `async` 'promise' or 'callback'.
+ * @param   {Object} [options]        Options.
+ * @param   {Number} [options.timeout] Milliseconds to wait for the call to settle, 5000 by default.
+ * @returns {Object}                  Outcome as returned by `observe`, for the resolved value or the rejection,
+ *                                    with `inSetup` set when the setup threw, and `unsettled` when the call
+ *                                    never settled.
+ */
+function settle(filePath, testCase, options = {}) {
+
+    let run = childProcess.spawnSync(process.execPath, [path.join(__dirname, 'settle-runner.js')], {
+        input:    JSON.stringify({ filePath: filePath, testCase: testCase }),
+        encoding: 'utf8',
+        timeout:  options.timeout || 5000
+    });
+
+    // The outcome is the last line the runner prints; the subject may print before it.
+    let line = _.findLast((run.stdout || '').split('\n'), l => _.startsWith(l, outcomePrefix));
+    if( !line ) {
+        return { threw: false, value: undefined, unsettled: true };
+    }
+    let outcome = JSON.parse(line.substring(outcomePrefix.length));
+    if( !outcome.threw ) {
+        outcome.opaque = outcome.source === null;
+        outcome.value = outcome.opaque ? undefined : vm.runInThisContext(`(${outcome.source})`);
+        delete outcome.source;
+    }
+    return outcome;
+}
+
+
+/**
+ * Build the source of a Promise for an asynchronous call, settling with its result.
+ *
+ * @param   {String}   accessor Expression reaching the function from `subject`.
+ * @param   {String}   args     Function argument string, which names the callback `callback`.
+ * @param   {String[]} setup    Statements to run before the call.
+ * @param   {String}   style    'promise' for calls returning a Promise, 'callback' for Node-style callbacks.
+ * @returns {String}            Promise expression.
+ */
+function promiseCall(accessor, args, setup, style) {
+    let body = (setup || []).slice();
+    if( style === 'callback' ) {
+        body.push('let callback = (error, value) => error ? reject(error) : resolve(value);');
+        body.push(`${accessor}(${args});`);
+    }
+    else {
+        body.push(`resolve(${accessor}(${args}));`);
+    }
+    return `new Promise((resolve, reject) => { ${body.join(' ')} })`;
+}
+
+
+/**
+ * Build the handlers which check how an asynchronous call settled against its recorded outcome.
+ *
+ * @param   {Object} outcome Outcome as returned by `settle`.
+ * @returns {String}         Arguments for the Promise's `.then(...)`.
+ */
+function settlement(outcome) {
+
+    // Rejections: match the type when it is a global error class, and the message.
+    if( outcome.threw ) {
+        let error = outcome.error;
+        let checks = [];
+        if( isGlobalErrorClass(error.name) ) {
+            checks.push(`assert.instanceOf(error, ${error.name});`);
+        }
+        if( error.message !== null ) {
+            checks.push(`assert.equal(error.message, ${JSON.stringify(error.message)});`);
+        }
+        return `() => assert.fail('expected a rejection'), error => { ${checks.join(' ')} }`;
+    }
+
+    // Resolved values: compare deeply, unless the value cannot be written back as source.
+    let expected = outcome.opaque ? null : serialize(outcome.value);
+    return expected === null ? `() => {}` : `value => assert.deepEqual(value, ${expected})`;
+}
+
+
+/**
+ * Get the function an accessor expression reaches in a loaded module.
+ *
+ * @param   {Object}   subject  Loaded subject module.
+ * @param   {String}   accessor Expression reaching the function from `subject`, e.g. `new subject.Klass().method`
+ *                              or `new subject.Klass` for a constructor.
+ * @returns {Function}          The function, or undefined when the module does not provide it.
+ */
+function resolve(subject, accessor) {
+
+    // Constructors are reached as `new subject.Klass`: look the class up instead.
+    let constructed = accessor.match(/^new ([^()]+)$/);
+    if( constructed ) {
+        accessor = constructed[1];
+    }
+
+    try {
+        let value = vm.runInThisContext(`(function(subject) { return ${accessor}; })`)(subject);
+        return typeof value === 'function' ? value : undefined;
+    }
+    catch (e) {
+        return undefined;
+    }
+}
+
+
+/**
+ * Build the chai assertion which checks a call against its recorded outcome.
+ *
+ * @param   {String} call    Call expression, e.g. `subject.inc(1, 2)`.
+ * @param   {Object} outcome Outcome as returned by `observe`, its error possibly given the `accessor`
+ *                           expression reaching its class from `subject`.
+ * @returns {String}         Assertion statement.
+ */
+function assertion(call, outcome) {
+
+    // Thrown errors: match the type when it is a global error class, or one with an `accessor`, and the message.
+    if( outcome.threw ) {
+        let error = outcome.error;
+        if( error.name === null ) {
+            return `assert.throws(() => ${call});`;
+        }
+        let matchers = [];
+        if( isGlobalErrorClass(error.name) ) {
+            matchers.push(error.name);
+        }
+        else if( error.accessor ) {
+            matchers.push(error.accessor);
+        }
+        matchers.push(JSON.stringify(error.message));
+        return `assert.throws(() => ${call}, ${matchers.join(', ')});`;
+    }
+
+    // Returned values: compare deeply, unless the value cannot be written back as source.
+    let expected = serialize(outcome.value);
+    if( expected === null ) {
+        return `assert.doesNotThrow(() => ${call});`;
+    }
+    return `assert.deepEqual(${call}, ${expected});`;
+}
+
+
+/**
+ * Evaluate a function argument string, with `callback` standing for the test's callback.
+ *
+ * @param   {String} args Function argument string.
+ * @returns {Array}       Argument values.
+ */
+function argumentValues(args) {
+    return vm.runInThisContext(`(function(callback) { return [${args}]; })`)(callbackPlaceholder);
+}
+
+
+/**
+ * Write a recorded value back as JavaScript source.
+ *
+ * @param   {*}      value Value to serialize.
+ * @param   {Array}  seen  Objects already on the current path, to detect cycles.
+ * @returns {String}       Source text, or null if the value has no faithful source form.
+ */
+function serialize(value, seen = []) {
+
+    if( value === undefined ) return 'undefined';
+    if( value === null )      return 'null';
+    if( typeof value === 'boolean' ) return String(value);
+    if( typeof value === 'string' )  return JSON.stringify(value);
+    if( typeof value === 'number' )  return Object.is(value, -0) ? '-0' : String(value);
+    if( value === callbackPlaceholder ) return 'callback';
+    if( typeof value !== 'object' )  return null;
+
+    if( _.includes(seen, value) ) return null;
+    seen = seen.concat([value]);
+
+    if( Buffer.isBuffer(value) ) {
+        return `Buffer.from(${JSON.stringify(value.toString('base64'))}, 'base64')`;
+    }
+    if( value instanceof Date ) {
+        return `new Date(${value.getTime()})`;
+    }
+    if( Array.isArray(value) ) {
+        let items = _.map(value, v => serialize(v, seen));
+        return _.includes(items, null) ? null : `[${items.join(', ')}]`;
+    }
+    if( _.isPlainObject(value) ) {
+        let entries = _.map(_.keys(value), key => {
+            let item = serialize(value[key], seen);
+            return item === null ? null : `${JSON.stringify(key)}: ${item}`;
+        });
+        return _.includes(entries, null) ? null : `{${entries.join(', ')}}`;
+    }
+    return null;
+}
+
+
+/**
+ * Whether an error class name refers to a built-in global constructor,
+ * so it can be referenced from the generated test file.
+ *
+ * @param   {String}  name Error class name.
+ * @returns {Boolean}
+ */
+function isGlobalErrorClass(name) {
+    return typeof global[name] === 'function' && (global[name] === Error || global[name].prototype instanceof Error);
+}
+
+
+// Export
+module.exports.observe            = observe;
+module.exports.settle             = settle;
+module.exports.promiseCall        = promiseCall;
+module.exports.settlement         = settlement;
+module.exports.resolve            = resolve;
+module.exports.argumentValues     = argumentValues;
+module.exports.assertion          = assertion;
+module.exports.serialize          = serialize;
+module.exports.isGlobalErrorClass = isGlobalErrorClass;
+module.exports.outcomePrefix      = outcomePrefix;
@@ -0,0 +1,451 @@
+// Core/NPM Modules
+const _       = require('lodash');
+
+
+// Local Modules
+const dataflow = require('./dataflow');
+
+
+
+// Upper bound on the paths enumerated for a single function.
+const maxPaths = 128;
+
+// Globals a path condition may reference and still be evaluated outside the subject.
+const knownGlobals = ['undefined', 'NaN', 'Infinity', 'Math', 'String', 'Number', 'Boolean', 'Array',
+                      'Object', 'JSON', 'RegExp', 'isNaN', 'isFinite', 'parseInt', 'parseFloat'];
+
+// Stands for a value the enumeration cannot express, e.g. a variable after a loop.
+const opaque = { type: 'Opaque' };
+
+
+/**
+ * Enumerate the paths through a function's branch structure: if/else, `&&`/`||`,
+ * ternaries, loops (taken zero times or once), and early returns and throws.
+ *
+ * Assignments are followed symbolically, so each condition is expressed in terms
+ * of the parameter values the function was called with. A condition that also
+ * depends on anything else (a call into another module, the file system, a value
+ * computed in a loop) is kept with its `test` set to null: it cannot be decided
+ * from the arguments alone.
+ *
+ * @param   {Object}   funcNode Esprima function node.
+ * @param   {String[]} params   Parameter names of the function.
+ * @param   {String}   buf      Source code the node was parsed from.
+ * @returns {Object[]}          Paths: `{ conditions: [{ expression, outcome, test }], throws }`, where `expression` is
+ *                              the condition's source, `outcome` the truth value the path needs, and `test` the
+ *                              condition as source over the parameters, or null when it cannot be decided from them;
+ *                              `throws` is the line of the throw statement ending the path, or null.
+ */
+function functionPaths(funcNode, params, buf) {
+
+    let context = { params: params, buf: buf };
+    let body = funcNode.body.type === 'BlockStatement'
+        ? funcNode.body.body
+        : [{ type: 'ReturnStatement', argument: funcNode.body }];
+
+    let states = walk(body, [{ conditions: [], env: {}, done: false }], context);
+
+    return _.map(states, state => ({ conditions: state.conditions, throws: state.throws || null }));
+}
+
+
+/**
+ * Walk a list of statements from each of the given states.
+ *
+ * @param   {Object[]} statements Esprima statement nodes.
+ * @param   {Object[]} states     Path states: `{ conditions, env, done }`.
+ * @param   {Object}   context    Parameters and source of the function being walked.
+ * @returns {Object[]}            Path states after the statements.
+ */
+function walk(statements, states, context) {
+    for (let statement of statements) {
+        states = _.flatMap(states, state => state.done ? [state] : step(statement, state, context));
+        states = _.take(states, maxPaths);
+    }
+    return states;
+}
+
+
+/**
+ * Advance one path state over a single statement.
+ *
+ * @param   {Object}   statement Esprima statement node.
+ * @param   {Object}   state     Path state.
+ * @param   {Object}   context   Parameters and source of the function being walked.
+ * @returns {Object[]}           Path states after the statement.
+ */
+function step(statement, state, context) {
+
+    switch (statement.type) {
+
+        case 'BlockStatement':
+            return walk(statement.body, [state], context);
+
+        case 'IfStatement':
+            return _.flatMap([true, false], outcome =>
+                _.flatMap(branch(statement.test, outcome, state, context), taken => {
+                    let next = outcome ? statement.consequent : statement.alternate;
+                    return next ? step(next, taken, context) : [taken];
+                }));
+
+        case 'ReturnStatement':
+            return _.map(resolve(statement.argument, state, context), r => _.assign({}, r.state, { done: true }));
+
+        case 'ThrowStatement':
+            return _.map(resolve(statement.argument, state, context), r => _.assign({}, r.state, { done: true, throws: statement.loc.start.line }));
+
+        case 'VariableDeclaration':
+            return _.reduce(statement.declarations, (states, declarator) => _.flatMap(states, s => {
+                if( declarator.id.type !== 'Identifier' ) {
+                    return [s];
+                }
+                if( !declarator.init ) {
+                    return [assign(s, declarator.id.name, { type: 'Identifier', name: 'undefined' })];
+                }
+                return _.map(resolve(declarator.init, s, context), r =>
+                    assign(r.state, declarator.id.name, substitute(r.node, r.state.env)));
+            }), [state]);
+
+        case 'ExpressionStatement':
+            return _.map(resolve(statement.expression, state, context), r => applyEffects(r.node, r.state));
+
+        case 'ForStatement':
+        case 'WhileStatement':
+        case 'DoWhileStatement': {
+            let entry = [state];
+            if( statement.type === 'ForStatement' && statement.init ) {
+                entry = statement.init.type === 'VariableDeclaration'
+                    ? step(statement.init, state, context)
+                    : _.map(resolve(statement.init, state, context), r => applyEffects(r.node, r.state));
+            }
+            return _.flatMap(entry, s => {
+                // Do-while bodies run once before the first test.
+                if( statement.type === 'DoWhileStatement' ) {
+                    return _.map(walk([statement.body], [s], context), after => leaveLoop(statement, after));
+                }
+                let skipped = statement.test ? branch(statement.test, false, s, context) : [];
+                let entered = statement.test ? branch(statement.test, true, s, context) : [s];
+                let once = _.flatMap(entered, e => walk([statement.body], [e], context));
+                return skipped.concat(_.map(once, after => after.done ? after : leaveLoop(statement, after)));
+            });
+        }
+
+        case 'ForInStatement':
+        case 'ForOfStatement':
+            return [leaveLoop(statement, state)].concat(
+                _.map(walk([statement.body], [state], context), after => after.done ? after : leaveLoop(statement, after)));
+
+        case 'TryStatement': {
+            let states = walk([statement.block], [state], context);
+            return statement.finalizer ? walk([statement.finalizer], states, context) : states;
+        }
+
+        case 'EmptyStatement':
+        case 'FunctionDeclaration':
+            return [state];
+
+        // Anything else is not followed, but the variables it assigns can no longer be expressed.
+        default:
+            return [forget(state, assignedNames(statement))];
+    }
+}
+
+
+/**
+ * Split a branch test into the condition lists that give it the wanted outcome,
+ * following the short-circuit evaluation of `&&`, `||` and `!`.
+ *
+ * @param   {Object}   test    Esprima expression node.
+ * @param   {Boolean}  outcome Wanted truth value.
+ * @param   {Object}   state   Path state.
+ * @param   {Object}   context Parameters and source of the function being walked.
+ * @returns {Object[]}         Path states with the test's conditions added.
+ */
+function branch(test, outcome, state, context) {
+
+    if( test.type === 'UnaryExpression' && test.operator === '!' ) {
+        return branch(test.argument, !outcome, state, context);
+    }
+
+    if( test.type === 'LogicalExpression' ) {
+        // `&&` is decided by its left operand when it is false, `||` when it is true.
+        let shortCircuit = test.operator === '||';
+        if( outcome === shortCircuit ) {
+            let decided = branch(test.left, shortCircuit, state, context);
+            let deferred = _.flatMap(branch(test.left, !shortCircuit, state, context),
+                                     s => branch(test.right, shortCircuit, s, context));
+            return decided.concat(deferred);
+        }
+        return _.flatMap(branch(test.left, !shortCircuit, state, context),
+                         s => branch(test.right, !shortCircuit, s, context));
+    }
+
+    // Atomic condition: record it, expressed over the parameters.
+    return _.map(resolve(test, state, context), r => {
+        let source = toSource(substitute(r.node, r.state.env));
+        let decidable = source !== null && _.every(freeNames(substitute(r.node, r.state.env)),
+                                                   name => _.includes(context.params, name) || _.includes(knownGlobals, name));
+        return _.assign({}, r.state, {
+            conditions: r.state.conditions.concat([{
+                expression: test.range ? context.buf.substring(test.range[0], test.range[1]) : source,
+                outcome:    outcome,
+                test:       decidable ? source : null
+            }])
+        });
+    });
+}
+
+
+/**
+ * Resolve the ternaries and value-position `&&`/`||` in an expression into one
+ * variant per way they can evaluate, each with the conditions that select it.
+ *
+ * @param   {Object}   node    Esprima expression node, or null.
+ * @param   {Object}   state   Path state.
+ * @param   {Object}   context Parameters and source of the function being walked.
+ * @returns {Object[]}         Variants: `{ node, state }`.
+ */
+function resolve(node, state, context) {
+
+    if( !node || typeof node.type !== 'string' || isFunction(node) ) {
+        return [{ node: node, state: state }];
+    }
+
+    if( node.type === 'ConditionalExpression' ) {
+        return _.flatMap([true, false], outcome =>
+            _.flatMap(branch(node.test, outcome, state, context), s =>
+                resolve(outcome ? node.consequent : node.alternate, s, context)));
+    }
+
+    // `a || b` evaluates to `a` when it is truthy, `a && b` to `a` when it is falsy.
+    if( node.type === 'LogicalExpression' ) {
+        let shortCircuit = node.operator === '||';
+        let decided = _.flatMap(branch(node.left, shortCircuit, state, context), s => resolve(node.left, s, context));
+        let deferred = _.flatMap(branch(node.left, !shortCircuit, state, context), s => resolve(node.right, s, context));
+        return decided.concat(deferred);
+    }
+
+    // Resolve children left to right, combining their variants.
+    let variants = [{ node: _.clone(node), state: state }];
+    for (let key of _.keys(node)) {
+        let child = node[key];
+        if( key === 'range' || key === 'loc' || typeof child !== 'object' || child === null ) {
+            continue;
+        }
+        variants = _.flatMap(variants, v => {
+            if( Array.isArray(child) ) {
+                return _.reduce(child, (partial, item, i) => _.flatMap(partial, p =>
+                    _.map(resolve(item, p.state, context), r => {
+                        let items = p.node[key].slice();
+                        items[i] = r.node;
+                        return { node: _.assign({}, p.node, { [key]: items }), state: r.state };
+                    })), [v]);
+            }
+            return _.map(resolve(child, v.state, context), r =>
+                ({ node: _.assign({}, v.node, { [key]: r.node }), state: r.state }));
+        });
+        variants = _.take(variants, maxPaths);
+    }
+    return variants;
+}
+
+
+/**
+ * Apply the assignments and updates of an expression statement to a path state.
+ *
+ * @param   {Object} node  Esprima expression node.
+ * @param   {Object} state Path state.
+ * @returns {Object}       Path state after the expression.
+ */
+function applyEffects(node, state) {
+
+    if( node.type === 'SequenceExpression' ) {
+        return _.reduce(node.expressions, (s, expression) => applyEffects(expression, s), state);
+    }
+
+    if( node.type === 'AssignmentExpression' && node.left.type === 'Identifier' ) {
+        let value = node.operator === '='
+            ? node.right
+            : { type: 'BinaryExpression', operator: node.operator.slice(0, -1), left: node.left, right: node.right };
+        return assign(state, node.left.name, substitute(value, state.env));
+    }
+
+    if( node.type === 'UpdateExpression' && node.argument.type === 'Identifier' ) {
+        let value = { type: 'BinaryExpression', operator: node.operator[0], left: node.argument, right: { type: 'Literal', value: 1, raw: '1' } };
+        return assign(state, node.argument.name, substitute(value, state.env));
+    }
+
+    // Assignments nested anywhere else are not followed.
+    return forget(state, assignedNames(node));
+}
+
+
+/**
+ * Leave a loop that ran once: variables it assigns may have been updated any number of times.
+ *
+ * @param   {Object} loop  Esprima loop statement node.
+ * @param   {Object} state Path state after one iteration.
+ * @returns {Object}       Path state after the loop.
+ */
+function leaveLoop(loop, state) {
+    return forget(state, assignedNames(loop));
+}
+
+
+/**
+ * Bind a variable to a symbolic value in a path state.
+ */
+function assign(state, name, value) {
+    return _.assign({}, state, { env: _.assign({}, state.env, { [name]: value }) });
+}
+
+
+/**
+ * Mark variables as no longer expressible in a path state.
+ */
+function forget(state, names) {
+    if( _.isEmpty(names) ) {
+        return state;
+    }
+    return _.assign({}, state, { env: _.assign({}, state.env, _.zipObject(names, _.map(names, () => opaque))) });
+}
+
+
+/**
+ * Names of the variables assigned, updated or declared anywhere in a node.
+ *
+ * @param   {Object}   node Esprima node.
+ * @returns {String[]}      Variable names.
+ */
+function assignedNames(node) {
+    let names = [];
+    dataflow.walk(node, function (child) {
+        if( child.type === 'AssignmentExpression' && child.left.type === 'Identifier' ) names.push(child.left.name);
+        if( child.type === 'UpdateExpression' && child.argument.type === 'Identifier' ) names.push(child.argument.name);
+        if( child.type === 'VariableDeclarator' && child.id.type === 'Identifier' ) names.push(child.id.name);
+    }, { functions: false });
+    return _.uniq(names);
+}
+
+
+/**
+ * Replace the variables in an expression by their symbolic values.
+ *
+ * @param   {Object} node Esprima expression node.
+ * @param   {Object} env  Symbolic values by variable name.
+ * @returns {Object}      Substituted expression node.
+ */
+function substitute(node, env) {
+    if( !node || typeof node.type !== 'string' || isFunction(node) ) {
+        return node;
+    }
+    if( node.type === 'Identifier' ) {
+        return env.hasOwnProperty(node.name) ? env[node.name] : node;
+    }
+    let copy = _.clone(node);
+    for (let key of _.keys(node)) {
+        let child = node[key];
+        if( key === 'range' || key === 'loc' || typeof child !== 'object' || child === null ) {
+            continue;
+        }
+        // Property names are not variables.
+        if( (node.type === 'MemberExpression' && key === 'property' && !node.computed) ||
+            (node.type === 'Property' && key === 'key' && !node.computed) ) {
+            continue;
+        }
+        copy[key] = Array.isArray(child) ? _.map(child, item => substitute(item, env)) : substitute(child, env);
+    }
+    return copy;
+}
+
+
+/**
+ * Names of the variables an expression reads.
+ *
+ * @param   {Object}   node Esprima expression node.
+ * @returns {String[]}      Variable names.
+ */
+function freeNames(node) {
+    let names = [];
+    dataflow.walk(node, function (child, parent, key) {
+        if( child.type !== 'Identifier' ) return;
+        if( parent && parent.type === 'MemberExpression' && key === 'property' && !parent.computed ) return;
+        if( parent && parent.type === 'Property' && key === 'key' && !parent.computed ) return;
+        names.push(child.name);
+    }, { functions: false });
+    return _.uniq(names);
+}
+
+
+/**
+ * Write an expression back as source code.
+ *
+ * @param   {Object} node Esprima expression node.
+ * @returns {String}      Source text, or null when the expression cannot be evaluated on its own
+ *                        (it contains functions, assignments or values the enumeration lost track of).
+ */
+function toSource(node) {
+
+    if( !node ) return null;
+    let all = (nodes) => {
+        let parts = _.map(nodes, n => n === null ? '' : toSource(n));
+        return _.includes(parts, null) ? null : parts;
+    };
+    let parts;
+
+    switch (node.type) {
+        case 'Literal':
+            return node.raw !== undefined ? node.raw : JSON.stringify(node.value);
+        case 'Identifier':
+            return node.name;
+        case 'BinaryExpression':
+        case 'LogicalExpression':
+            parts = all([node.left, node.right]);
+            return parts && `(${parts[0]} ${node.operator} ${parts[1]})`;
+        case 'UnaryExpression':
+            parts = all([node.argument]);
+            return parts && `(${node.operator} ${parts[0]})`;
+        case 'MemberExpression':
+            parts = all(node.computed ? [node.object, node.property] : [node.object]);
+            return parts && (node.computed ? `${parts[0]}[${parts[1]}]` : `${parts[0]}.${node.property.name}`);
+        case 'CallExpression':
+        case 'NewExpression':
+            parts = all([node.callee].concat(node.arguments));
+            return parts && `${node.type === 'NewExpression' ? 'new ' : ''}${parts[0]}(${parts.slice(1).join(', ')})`;
+        case 'ConditionalExpression':
+            parts = all([node.test, node.consequent, node.alternate]);
+            return parts && `(${parts[0]} ? ${parts[1]} : ${parts[2]})`;
+        case 'ArrayExpression':
+            parts = all(node.elements);
+            return parts && `[${parts.join(', ')}]`;
+        case 'ObjectExpression': {
+            if( _.some(node.properties, p => p.type !== 'Property' || p.kind !== 'init' || p.method) ) return null;
+            let keys = all(_.map(node.properties, p => p.computed ? p.key : { type: 'Literal', value: p.key.name || p.key.value }));
+            let values = all(_.map(node.properties, 'value'));
+            if( !keys || !values ) return null;
+            return `({${_.map(node.properties, (p, i) => p.computed ? `[${keys[i]}]: ${values[i]}` : `${keys[i]}: ${values[i]}`).join(', ')}})`;
+        }
+        case 'TemplateLiteral': {
+            let expressions = all(node.expressions);
+            if( !expressions ) return null;
+            return '`' + _.map(node.quasis, (q, i) => q.value.raw + (i < expressions.length ? '${' + expressions[i] + '}' : '')).join('') + '`';
+        }
+        default:
+            return null;
+    }
+}
+
+
+/**
+ * Whether a node is a function, whose body belongs to another scope.
+ */
+function isFunction(node) {
+    return _.includes(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'], node.type);
+}
+
+
+// Export
+module.exports = functionPaths;
+module.exports.toSource = toSource;
+module.exports.substitute = substitute;
+module.exports.freeNames = freeNames;
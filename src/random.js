@@ -0,0 +1,72 @@
+// Core/NPM Modules
+const faker   = require("faker");
+const Random  = require('random-js');
+
+
+
+// Seeds are drawn from [0, maxSeed] when none is given.
+const maxSeed = 0x7fffffff;
+
+// The one engine every random choice made while generating goes through.
+const engine = Random.engines.mt19937();
+
+// Seed the engine was last seeded with.
+let current = null;
+
+
+/**
+ * Seed the engine, and faker from it, so that the same seed makes the same choices again.
+ *
+ * @param   {Number} [value] Seed, a new random one when not given.
+ * @returns {Number}         Seed used.
+ */
+function seed(value) {
+    current = value === undefined || value === null ? Random.integer(0, maxSeed)(Random.engines.nativeMath) : value;
+    engine.seed(current);
+    faker.seed(integer(1, maxSeed));
+    return current;
+}
+
+
+/**
+ * The seed the engine was last seeded with.
+ */
+function currentSeed() {
+    return current;
+}
+
+
+/**
+ * A random integer in [min, max].
+ */
+function integer(min, max) {
+    return Random.integer(min, max)(engine);
+}
+
+
+/**
+ * A random string of the given length, from the characters of `pool`, or from letters, digits, `_` and `-`.
+ */
+function string(length, pool) {
+    return Random.string(pool)(engine, length);
+}
+
+
+/**
+ * Shuffle an array in place, and return it.
+ */
+function shuffle(array) {
+    return Random.shuffle(engine, array);
+}
+
+
+// Seed randomly until asked for a seed.
+seed();
+
+
+// Export
+module.exports.seed        = seed;
+module.exports.currentSeed = currentSeed;
+module.exports.integer     = integer;
+module.exports.string      = string;
+module.exports.shuffle     = shuffle;
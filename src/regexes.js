@@ -0,0 +1,159 @@
+// Core/NPM Modules
+const _       = require('lodash');
+const randexp = require('randexp');
+
+
+// Local Modules
+const dataflow = require('./dataflow');
+const random   = require('./random');
+
+
+
+// Methods of a string taking the regular expression, and of the regular expression taking the string.
+const stringMethods = ['match', 'matchAll', 'replace', 'search', 'split'];
+const regexMethods  = ['test', 'exec'];
+
+// Random strings drawn from a regular expression to find matches exercising its capture groups.
+const samples = 50;
+
+// Upper bounds on the matches and near misses kept for one regular expression.
+const maxMatches    = 5;
+const maxNearMisses = 3;
+
+// Characters swapped into a match to make it fail.
+const replacements = ['a', '0', ' ', '-', '_', 'Z'];
+
+
+/**
+ * Build strings for a parameter a function tests against a regular expression:
+ * `/re/.test(name)`, `re.exec(name)`, `name.match(/re/)`, `name.replace(/re/, ...)`,
+ * `name.search(/re/)` and `name.split(/re/)`, with the regular expression a literal,
+ * a `RegExp` constructor called with literals, or a local variable holding one of these.
+ *
+ * The strings are matches drawn with randexp, one for each new way a capture group
+ * takes part (an optional group set or not, empty or not, which word it holds), and
+ * near misses made from a match by dropping, adding or replacing a character, which
+ * fail to match.
+ *
+ * @param   {Object}   node        Esprima call node.
+ * @param   {String[]} params      Parameter names of the function.
+ * @param   {Object}   definitions Definitions of local variables, as returned by `dataflow.definitions`.
+ * @returns {Object}               `{ ident, regex, values }`: the parameter, the regular expression and the strings,
+ *                                 or null.
+ */
+function regexValues(node, params, definitions) {
+
+    if( node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression' || node.callee.computed ) {
+        return null;
+    }
+    let method = node.callee.property.name;
+    let subject, pattern;
+    if( _.includes(stringMethods, method) ) {
+        subject = node.callee.object;
+        pattern = node.arguments[0];
+    }
+    else if( _.includes(regexMethods, method) ) {
+        subject = node.arguments[0];
+        pattern = node.callee.object;
+    }
+    else {
+        return null;
+    }
+
+    let regex = pattern ? regexOf(pattern, definitions) : null;
+    if( !regex || !subject || subject.type !== 'Identifier' || !_.includes(params, subject.name) ) {
+        return null;
+    }
+
+    let found = matches(regex);
+    return { ident: subject.name, regex: regex, values: found.concat(nearMisses(regex, found)) };
+}
+
+
+/**
+ * The regular expression a node stands for: a literal, `new RegExp('...', 'flags')`
+ * or `RegExp('...')` with literal arguments, or a local variable holding one. Returns
+ * null for anything else, including patterns the running node cannot compile.
+ */
+function regexOf(node, definitions, seen = []) {
+    try {
+        if( node.type === 'Literal' && node.regex ) {
+            return new RegExp(node.regex.pattern, node.regex.flags);
+        }
+        if( _.includes(['NewExpression', 'CallExpression'], node.type) && _.get(node, 'callee.name') === 'RegExp' &&
+            node.arguments.length && _.every(node.arguments, arg => arg.type === 'Literal' && typeof arg.value === 'string') ) {
+            return new RegExp(..._.map(node.arguments, 'value'));
+        }
+    }
+    catch (e) {
+        return null;
+    }
+    let value = node.type === 'Identifier' ? dataflow.reaching(definitions, node.name, node.range[0]) : null;
+    if( value && !_.includes(seen, value) ) {
+        return regexOf(value, definitions, seen.concat([value]));
+    }
+    return null;
+}
+
+
+/**
+ * Draw matches of a regular expression, keeping those in which a capture group takes
+ * part in a new way: set or not, empty or not, or for words, as in `(alpha|beta)`, which word.
+ *
+ * @param   {RegExp}   regex Regular expression.
+ * @returns {String[]}       Matching strings.
+ */
+function matches(regex) {
+    let test = new RegExp(regex.source, regex.flags.replace(/[gy]/g, ''));
+    let found = [];
+    let seen = [];
+    for (let i = 0; i < samples && found.length < maxMatches; i++) {
+        let generator = new randexp(regex);
+        generator.max = 3;
+        generator.randInt = random.integer;
+        let value = generator.gen();
+        let match = test.exec(value);
+        if( !match ) {
+            continue;
+        }
+        let groups = _.map(match.slice(1), (group, g) => `${g} ` +
+            (group === undefined ? 'unset' : (group === '' ? 'empty' : (/^[A-Za-z]+$/.test(group) ? group : 'set'))));
+        if( found.length === 0 || !_.isEmpty(_.difference(groups, seen)) ) {
+            found.push(value);
+            seen = _.union(seen, groups);
+        }
+    }
+    return found;
+}
+
+
+/**
+ * Make strings close to a match which fail to match: the match with its last character
+ * dropped, with a character added at either end, or with one character replaced.
+ *
+ * @param   {RegExp}   regex Regular expression.
+ * @param   {String[]} found Matching strings.
+ * @returns {String[]}       Failing strings.
+ */
+function nearMisses(regex, found) {
+    let test = new RegExp(regex.source, regex.flags.replace(/[gy]/g, ''));
+    let misses = [];
+    for (let value of found) {
+        let candidates = [value.slice(0, -1), value + replacements[0], replacements[0] + value];
+        for (let i = 0; i < value.length; i++) {
+            candidates.push(..._.map(replacements, c => value.substring(0, i) + c + value.substring(i + 1)));
+        }
+        let miss = _.find(candidates, candidate => !test.test(candidate) && !_.includes(misses, candidate));
+        if( miss !== undefined ) {
+            misses.push(miss);
+        }
+        if( misses.length === maxNearMisses ) {
+            break;
+        }
+    }
+    return misses;
+}
+
+
+// Export
+module.exports = regexValues;
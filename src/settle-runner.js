@@ -0,0 +1,46 @@
+// Run by `oracle.settle` in a process of its own. Reads `{ filePath, testCase }` as JSON
+// from stdin, makes the asynchronous call with the mock file system active until it
+// settles, and prints the outcome on a line of its own after `oracle.outcomePrefix`.
+
+// Core/NPM Modules
+const fs     = require('fs');
+const vm     = require('vm');
+const mock   = require('mock-fs');
+
+
+// Local Modules
+const oracle = require('./oracle');
+
+
+const { filePath, testCase } = JSON.parse(fs.readFileSync(0, "utf8"));
+const subject = require(filePath);
+
+let report = outcome => process.stdout.write(`\n${oracle.outcomePrefix}${JSON.stringify(outcome)}\n`);
+let describe = e => ({
+    name:    e instanceof Error ? e.constructor.name : null,
+    message: e instanceof Error ? e.message : null
+});
+
+let source = oracle.promiseCall(testCase.accessor, testCase.args, null, testCase.async);
+let setup  = (testCase.setup || []).join(' ');
+let start  = vm.runInThisContext(`(function(subject) { ${setup} return () => ${source}; })`);
+
+if( testCase.mockSetup ) {
+    mock(vm.runInThisContext(`(function(mock) { return ${testCase.mockSetup}; })`)(mock));
+}
+let restore = () => testCase.mockSetup && mock.restore();
+
+let call;
+try {
+    call = start(subject);
+}
+catch (e) {
+    restore();
+    report({ threw: true, error: describe(e), inSetup: true });
+    process.exit();
+}
+
+call().then(
+    value => { restore(); report({ threw: false, source: oracle.serialize(value) }); },
+    error => { restore(); report({ threw: true, error: describe(error) }); }
+);
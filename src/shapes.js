@@ -0,0 +1,216 @@
+// Core/NPM Modules
+const _       = require('lodash');
+
+
+// Local Modules
+const dataflow = require('./dataflow');
+
+
+
+// Comparison operators whose constant operand a property is set to, and next to.
+const equalityOperators   = ['==', '!=', '===', '!=='];
+const relationalOperators = ['<', '<=', '>', '>='];
+
+
+/**
+ * Infer the shape of the parameters a function uses as option bags, and build
+ * objects covering each property being missing, falsy, truthy and set to each
+ * constant it is compared against.
+ *
+ * A parameter is an option bag when the function reads properties of it (`opts.a`,
+ * `opts.a.b`, `opts['a']`), checks for them (`'a' in opts`, `opts.hasOwnProperty('a')`),
+ * or destructures it (`let { a, b: { c } } = opts`, or in the parameter list). Method
+ * calls and `length` on a parameter say nothing about a shape: they are left out, so
+ * strings and arrays are not mistaken for option bags. Locals initialized with the
+ * parameter, as in `let o = opts || {}`, stand for it.
+ *
+ * @param   {Object}   funcNode Esprima function node.
+ * @param   {String[]} params   Parameter names of the function, as given by `paramName`.
+ * @returns {Object}            Values by parameter name, for the option bag parameters only: `undefined`, then
+ *                              an object with every property set, and the variations of one property each.
+ */
+function shapes(funcNode, params) {
+
+    // Property paths and compared constants by parameter, each path keyed by its dotted form.
+    let found = {};
+    let note = (param, path, constants = []) => {
+        found[param] = found[param] || {};
+        for (let i = 1; i <= path.length; i++) {
+            let key = path.slice(0, i).join('.');
+            found[param][key] = found[param][key] || { path: path.slice(0, i), constants: [] };
+        }
+        found[param][path.join('.')].constants.push(...constants);
+    };
+
+    // Locals standing for a parameter.
+    let aliases = {};
+    let rootOf = node => {
+        if( node.type === 'Identifier' ) {
+            return _.includes(params, node.name) ? node.name : aliases[node.name] || null;
+        }
+        if( node.type === 'LogicalExpression' && node.operator === '||' && node.right.type === 'ObjectExpression' ) {
+            return rootOf(node.left);
+        }
+        return null;
+    };
+
+    // Destructured parameters are named by position, like `paramName` does.
+    _.forEach(funcNode.params, (param, index) => {
+        let pattern = param.type === 'AssignmentPattern' ? param.left : param;
+        if( pattern.type === 'ObjectPattern' ) {
+            destructure(pattern, [], path => note(params[index], path));
+        }
+    });
+
+    dataflow.walk(funcNode.body, (node, parent) => {
+
+        // Locals initialized with a parameter.
+        if( node.type === 'VariableDeclarator' && node.init && node.id.type === 'Identifier' && rootOf(node.init) ) {
+            aliases[node.id.name] = rootOf(node.init);
+        }
+
+        // Destructuring of a parameter or of one of its properties.
+        let source = node.type === 'VariableDeclarator' ? node.init
+                   : node.type === 'AssignmentExpression' ? node.right : null;
+        let target = node.type === 'VariableDeclarator' ? node.id
+                   : node.type === 'AssignmentExpression' ? node.left : null;
+        if( source && target && target.type === 'ObjectPattern' ) {
+            let access = accessPath(source, rootOf);
+            if( access ) {
+                destructure(target, access.path, path => note(access.root, path));
+            }
+        }
+
+        // `'a' in opts`
+        if( node.type === 'BinaryExpression' && node.operator === 'in' && node.left.type === 'Literal' ) {
+            let access = accessPath(node.right, rootOf);
+            if( access ) {
+                note(access.root, access.path.concat([String(node.left.value)]));
+            }
+        }
+
+        // `opts.hasOwnProperty('a')` and `Object.prototype.hasOwnProperty.call(opts, 'a')`
+        if( node.type === 'CallExpression' && node.callee.type === 'MemberExpression' ) {
+            let method = node.callee.computed ? null : node.callee.property.name;
+            let args = node.arguments;
+            if( method === 'hasOwnProperty' && args.length === 1 && args[0].type === 'Literal' ) {
+                let access = accessPath(node.callee.object, rootOf);
+                if( access ) {
+                    note(access.root, access.path.concat([String(args[0].value)]));
+                }
+            }
+            if( method === 'call' && _.get(node, 'callee.object.property.name') === 'hasOwnProperty' &&
+                args.length === 2 && args[1].type === 'Literal' ) {
+                let access = accessPath(args[0], rootOf);
+                if( access ) {
+                    note(access.root, access.path.concat([String(args[1].value)]));
+                }
+            }
+        }
+
+        // `opts.a.b`, unless it is a method called on the parameter or its `length`.
+        if( node.type === 'MemberExpression' && !(parent && parent.type === 'MemberExpression' && parent.object === node) ) {
+            let access = accessPath(node, rootOf);
+            let called = parent && parent.type === 'CallExpression' && parent.callee === node;
+            if( access && access.path.length ) {
+                let path = called || _.last(access.path) === 'length' ? _.initial(access.path) : access.path;
+                if( path.length ) {
+                    note(access.root, path);
+                }
+            }
+        }
+
+        // `opts.mode === 'fast'`, `opts.depth > 3`: the constants the property is compared against.
+        if( node.type === 'BinaryExpression' && _.includes(equalityOperators.concat(relationalOperators), node.operator) ) {
+            for (let [side, other] of [[node.left, node.right], [node.right, node.left]]) {
+                let access = side.type === 'MemberExpression' ? accessPath(side, rootOf) : null;
+                if( !access || !access.path.length || _.last(access.path) === 'length' || other.type !== 'Literal' || other.regex ) {
+                    continue;
+                }
+                let relational = _.includes(relationalOperators, node.operator) && typeof other.value === 'number';
+                note(access.root, access.path, relational ? [other.value - 1, other.value, other.value + 1] : [other.value]);
+            }
+        }
+    });
+
+    return _.mapValues(found, paths => variations(_.values(paths)));
+}
+
+
+/**
+ * Build the objects for one option bag: `undefined`, an object with every property set,
+ * then for each property that object with the property missing, falsy, truthy and set
+ * to each constant it is compared against.
+ *
+ * @param   {Object[]} paths Property paths: `{ path, constants }`.
+ * @returns {Array}          Values, without duplicates.
+ */
+function variations(paths) {
+
+    // Leaves are set to their first compared constant, or true; other properties hold their leaves.
+    let full = {};
+    for (let { path, constants } of _.sortBy(paths, p => p.path.length)) {
+        let isLeaf = !_.some(paths, other => other.path.length > path.length && _.isEqual(other.path.slice(0, path.length), path));
+        if( isLeaf ) {
+            _.set(full, path, constants.length ? constants[0] : true);
+        }
+        else if( !_.isPlainObject(_.get(full, path)) ) {
+            _.set(full, path, {});
+        }
+    }
+
+    let values = [undefined, full];
+    for (let { path, constants } of paths) {
+        let without = _.cloneDeep(full);
+        _.unset(without, path);
+        values.push(without);
+        for (let value of [false, true].concat(constants)) {
+            values.push(_.set(_.cloneDeep(full), path, value));
+        }
+    }
+
+    return _.uniqWith(values, _.isEqual);
+}
+
+
+/**
+ * Follow a chain of non-computed or literal property accesses down to a parameter.
+ *
+ * @param   {Object}   node   Esprima expression node.
+ * @param   {Function} rootOf Gives the parameter a node stands for, or null.
+ * @returns {Object}          `{ root, path }`, e.g. `{ root: 'opts', path: ['a', 'b'] }` for `opts.a.b`, or null.
+ */
+function accessPath(node, rootOf) {
+    let root = rootOf(node);
+    if( root ) {
+        return { root: root, path: [] };
+    }
+    if( node.type !== 'MemberExpression' ) {
+        return null;
+    }
+    let key = node.computed ? (typeof node.property.value === 'string' ? node.property.value : null) : node.property.name;
+    let object = key === null ? null : accessPath(node.object, rootOf);
+    return object ? { root: object.root, path: object.path.concat([key]) } : null;
+}
+
+
+/**
+ * Report the property paths an object pattern reads, below the given path.
+ */
+function destructure(pattern, path, report) {
+    for (let property of pattern.properties) {
+        if( property.type !== 'Property' || property.computed ) {
+            continue;
+        }
+        let key = property.key.type === 'Identifier' ? property.key.name : String(property.key.value);
+        let value = property.value.type === 'AssignmentPattern' ? property.value.left : property.value;
+        report(path.concat([key]));
+        if( value.type === 'ObjectPattern' ) {
+            destructure(value, path.concat([key]), report);
+        }
+    }
+}
+
+
+// Export
+module.exports = shapes;
@@ -0,0 +1,401 @@
+// Core/NPM Modules
+const esprima = require("esprima");
+const _       = require('lodash');
+
+
+
+// Upper bound on the inequalities kept while eliminating a variable.
+const maxInequalities = 500;
+
+// Operator of a comparison once its outcome is negated.
+const negated = { '<': '>=', '<=': '>', '>': '<=', '>=': '<', '==': '!=', '!=': '==', '===': '!==', '!==': '===' };
+
+
+/**
+ * Solve the conditions of a path for concrete parameter values.
+ *
+ * Handles linear integer and real arithmetic (`x > 7`, `7 <= x`, `x > y`,
+ * `p + q > 10`, `2 * x - 1 != y`), equality and disequality of parameters with
+ * strings, and `== undefined`/`== null` checks. Inequalities are solved by
+ * Fourier-Motzkin elimination, then values are assigned variable by variable,
+ * picking the value on the boundary so the tests sit next to the branch's edge.
+ * Conditions of any other form are returned as unsupported and left to the caller.
+ *
+ * @param   {String[]} params     Parameter names of the function, and `this.<name>` for instance fields to solve for.
+ * @param   {Object[]} conditions Conditions: `{ test, outcome }`, with `test` the condition's source over the parameters.
+ * @returns {Object}              `{ feasible, values, unsupported }`: whether the supported conditions can all hold,
+ *                                the values solving them by parameter name, and the conditions that were not used.
+ */
+function solve(params, conditions) {
+
+    let numeric = [];
+    let strings = {};
+    let nullish = {};
+    let unsupported = [];
+
+    // Sort conditions into the theories the solver knows.
+    for (let condition of conditions) {
+        let atom = atomOf(condition, params);
+        if( atom === null ) {
+            unsupported.push(condition);
+        }
+        else if( atom.kind === 'linear' ) {
+            numeric.push(_.assign(atom.constraint, { condition: condition }));
+        }
+        else {
+            let table = atom.kind === 'string' ? strings : nullish;
+            table[atom.ident] = table[atom.ident] || { equal: [], unequal: [], conditions: [] };
+            table[atom.ident][atom.equal ? 'equal' : 'unequal'].push(atom.value);
+            table[atom.ident].conditions.push(condition);
+        }
+    }
+
+    // A parameter compared both as a number and otherwise is beyond these theories.
+    let numericVars = _.uniq(_.flatMap(numeric, c => _.keys(c.coeffs)));
+    for (let table of [strings, nullish]) {
+        for (let ident of _.keys(table)) {
+            if( _.includes(numericVars, ident) || (table === nullish && strings[ident]) ) {
+                unsupported.push(...table[ident].conditions);
+                delete table[ident];
+            }
+        }
+    }
+
+    let values = {};
+
+    // Strings: one required value, or one that differs from all excluded values.
+    for (let ident in strings) {
+        let { equal, unequal } = strings[ident];
+        if( _.uniq(equal).length > 1 || _.some(equal, v => _.includes(unequal, v)) ) {
+            return { feasible: false, values: {}, unsupported: unsupported };
+        }
+        values[ident] = equal.length ? equal[0] : freshString(unequal);
+    }
+
+    // Nullish checks: a required undefined, or a value left to the caller.
+    for (let ident in nullish) {
+        if( nullish[ident].equal.length && nullish[ident].unequal.length ) {
+            return { feasible: false, values: {}, unsupported: unsupported };
+        }
+        if( nullish[ident].equal.length ) {
+            values[ident] = undefined;
+        }
+        else {
+            unsupported.push(...nullish[ident].conditions);
+        }
+    }
+
+    // Numbers: linear arithmetic.
+    let solution = solveLinear(numeric);
+    if( solution === null ) {
+        return { feasible: false, values: {}, unsupported: unsupported };
+    }
+    if( solution === undefined ) {
+        unsupported.push(..._.map(numeric, 'condition'));
+    }
+    else {
+        _.assign(values, solution);
+    }
+
+    return { feasible: true, values: values, unsupported: unsupported };
+}
+
+
+/**
+ * Classify a condition as a linear comparison, a string (dis)equality, or a nullish check.
+ *
+ * @param   {Object}   condition Condition: `{ test, outcome }`.
+ * @param   {String[]} params    Parameter names of the function.
+ * @returns {Object}             Atom, or null when the condition has another form.
+ */
+function atomOf(condition, params) {
+
+    let node;
+    try {
+        node = esprima.parse(`(${condition.test})`).body[0].expression;
+    }
+    catch (e) {
+        return null;
+    }
+
+    if( node.type !== 'BinaryExpression' || !negated[node.operator] ) {
+        return null;
+    }
+    let operator = condition.outcome ? node.operator : negated[node.operator];
+    let isParam = n => variable(n, params) !== null;
+
+    // Equality of a parameter with a string, undefined or null, on either side.
+    if( _.includes(['==', '!=', '===', '!=='], operator) ) {
+        let [ident, other] = isParam(node.left) ? [node.left, node.right] : [node.right, node.left];
+        let equal = operator === '==' || operator === '===';
+        if( isParam(ident) && other.type === 'Literal' && typeof other.value === 'string' ) {
+            return { kind: 'string', ident: variable(ident, params), equal: equal, value: other.value };
+        }
+        let isNull = other.type === 'Literal' && other.value === null;
+        let isUndefined = other.type === 'Identifier' && other.name === 'undefined';
+        if( isParam(ident) && (isUndefined || (isNull && operator.length === 2)) ) {
+            return { kind: 'nullish', ident: variable(ident, params), equal: equal, value: null };
+        }
+    }
+
+    // Linear comparison, normalized to `sum + constant op 0` with op one of <, <=, ==, !=.
+    let left  = linear(node.left, params);
+    let right = linear(node.right, params);
+    if( !left || !right ) {
+        return null;
+    }
+    let difference = combine(left, right, -1);
+    if( _.isEmpty(difference.coeffs) ) {
+        return null;
+    }
+    let op = operator.substring(0, 2);
+    if( op === '>' || op === '>=' ) {
+        difference = combine({ coeffs: {}, constant: 0 }, difference, -1);
+        op = op === '>' ? '<' : '<=';
+    }
+    return { kind: 'linear', constraint: _.assign(difference, { op: op }) };
+}
+
+
+/**
+ * Read an expression as a linear combination of parameters.
+ *
+ * @param   {Object}   node   Esprima expression node.
+ * @param   {String[]} params Parameter names of the function.
+ * @returns {Object}          `{ coeffs, constant }`, or null when the expression is not linear in the parameters.
+ */
+function linear(node, params) {
+
+    switch (node.type) {
+
+        case 'Literal':
+            return typeof node.value === 'number' ? { coeffs: {}, constant: node.value } : null;
+
+        case 'Identifier':
+        case 'MemberExpression': {
+            let name = variable(node, params);
+            return name !== null ? { coeffs: { [name]: 1 }, constant: 0 } : null;
+        }
+
+        case 'UnaryExpression': {
+            let argument = linear(node.argument, params);
+            if( !argument ) return null;
+            if( node.operator === '+' ) return argument;
+            if( node.operator === '-' ) return combine({ coeffs: {}, constant: 0 }, argument, -1);
+            return null;
+        }
+
+        case 'BinaryExpression': {
+            let left  = linear(node.left, params);
+            let right = linear(node.right, params);
+            if( !left || !right ) return null;
+            let isConstant = side => _.isEmpty(side.coeffs);
+            switch (node.operator) {
+                case '+': return combine(left, right, 1);
+                case '-': return combine(left, right, -1);
+                case '*':
+                    if( isConstant(left) )  return scale(right, left.constant);
+                    if( isConstant(right) ) return scale(left, right.constant);
+                    return null;
+                case '/':
+                    return isConstant(right) && right.constant !== 0 ? scale(left, 1 / right.constant) : null;
+                default:
+                    return null;
+            }
+        }
+
+        default:
+            return null;
+    }
+}
+
+
+/**
+ * Name of the variable an expression stands for: a parameter, or an instance field
+ * `this.<name>` when the parameters list it. Null for anything else.
+ */
+function variable(node, params) {
+    let name = null;
+    if( node.type === 'Identifier' ) {
+        name = node.name;
+    }
+    if( node.type === 'MemberExpression' && !node.computed && node.object.type === 'ThisExpression' ) {
+        name = `this.${node.property.name}`;
+    }
+    return _.includes(params, name) ? name : null;
+}
+
+
+/**
+ * Add a multiple of one linear combination to another.
+ */
+function combine(a, b, factor) {
+    let coeffs = _.clone(a.coeffs);
+    _.forEach(b.coeffs, (coeff, ident) => {
+        coeffs[ident] = (coeffs[ident] || 0) + factor * coeff;
+        if( coeffs[ident] === 0 ) delete coeffs[ident];
+    });
+    return { coeffs: coeffs, constant: a.constant + factor * b.constant };
+}
+
+
+/**
+ * Multiply a linear combination by a constant.
+ */
+function scale(a, factor) {
+    if( factor === 0 ) return { coeffs: {}, constant: 0 };
+    return { coeffs: _.mapValues(a.coeffs, c => c * factor), constant: a.constant * factor };
+}
+
+
+/**
+ * Solve a system of linear constraints `sum + constant op 0`.
+ *
+ * Variables are integers unless a coefficient or constant of one of their constraints
+ * is fractional. Equalities are split into two inequalities and eliminated along with
+ * them; disequalities are only checked while values are picked.
+ *
+ * @param   {Object[]} constraints Linear constraints: `{ coeffs, constant, op }`.
+ * @returns {Object}               Values by variable name, null when infeasible,
+ *                                 or undefined when the system is too large to eliminate.
+ */
+function solveLinear(constraints) {
+
+    let vars = _.uniq(_.flatMap(constraints, c => _.keys(c.coeffs)));
+    let isInteger = _.zipObject(vars, _.map(vars, v => _.every(constraints, c =>
+        c.coeffs[v] === undefined || (Number.isInteger(c.constant) && _.every(c.coeffs, Number.isInteger)))));
+
+    // Inequalities, with strict ones over integers tightened to non-strict ones.
+    let inequalities = [];
+    for (let c of constraints) {
+        let allInteger = _.every(_.keys(c.coeffs), v => isInteger[v]);
+        if( c.op === '==' ) {
+            inequalities.push({ coeffs: c.coeffs, constant: c.constant, strict: false });
+            inequalities.push(_.assign(scale(c, -1), { strict: false }));
+        }
+        else if( c.op === '<' && allInteger ) {
+            inequalities.push({ coeffs: c.coeffs, constant: c.constant + 1, strict: false });
+        }
+        else if( c.op !== '!=' ) {
+            inequalities.push({ coeffs: c.coeffs, constant: c.constant, strict: c.op === '<' });
+        }
+    }
+    let disequalities = _.filter(constraints, { op: '!=' });
+
+    // Eliminate the variables from last to first, keeping the system each one is bounded by.
+    let levels = [];
+    let system = inequalities;
+    for (let k = vars.length - 1; k >= 0; k--) {
+        let v = vars[k];
+        let [bounding, others] = _.partition(system, c => c.coeffs[v] !== undefined);
+        levels[k] = bounding;
+
+        let uppers = _.filter(bounding, c => c.coeffs[v] > 0);
+        let lowers = _.filter(bounding, c => c.coeffs[v] < 0);
+        system = others.slice();
+        for (let upper of uppers) {
+            for (let lower of lowers) {
+                let eliminated = combine(scale(upper, -lower.coeffs[v]), lower, upper.coeffs[v]);
+                system.push(_.assign(eliminated, { strict: upper.strict || lower.strict }));
+            }
+        }
+        if( system.length > maxInequalities ) {
+            return undefined;
+        }
+    }
+
+    // What remains are constants, which must hold on their own.
+    if( _.some(system, c => c.strict ? !(c.constant < 0) : !(c.constant <= 0)) ) {
+        return null;
+    }
+
+    // Assign the variables from first to last within the bounds left by the earlier ones.
+    let values = {};
+    for (let k = 0; k < vars.length; k++) {
+        let v = vars[k];
+        let lo = -Infinity, hi = Infinity, loStrict = false, hiStrict = false;
+
+        for (let c of levels[k]) {
+            let rest = c.constant + _.sum(_.map(c.coeffs, (coeff, w) => w === v ? 0 : coeff * values[w]));
+            let bound = -rest / c.coeffs[v];
+            if( c.coeffs[v] > 0 && (bound < hi || (bound === hi && c.strict)) ) {
+                hi = bound; hiStrict = c.strict;
+            }
+            if( c.coeffs[v] < 0 && (bound > lo || (bound === lo && c.strict)) ) {
+                lo = bound; loStrict = c.strict;
+            }
+        }
+
+        // Values the disequalities decided by this variable exclude.
+        let excluded = [];
+        for (let c of disequalities) {
+            let rest = _.keys(c.coeffs);
+            if( c.coeffs[v] !== undefined && _.every(rest, w => w === v || values.hasOwnProperty(w)) ) {
+                excluded.push(-(c.constant + _.sum(_.map(c.coeffs, (coeff, w) => w === v ? 0 : coeff * values[w]))) / c.coeffs[v]);
+            }
+        }
+
+        let value = pickValue(lo, hi, loStrict, hiStrict, isInteger[v], excluded);
+        if( value === null ) {
+            return null;
+        }
+        values[v] = value;
+    }
+
+    return values;
+}
+
+
+/**
+ * Pick a value between two bounds, on the boundary when there is one.
+ *
+ * @returns {Number} The value, or null when the interval holds no allowed value.
+ */
+function pickValue(lo, hi, loStrict, hiStrict, integer, excluded) {
+
+    let candidates = [];
+    let tries = excluded.length + 3;
+
+    if( integer ) {
+        let first = loStrict ? Math.floor(lo) + 1 : Math.ceil(lo);
+        let last  = hiStrict ? Math.ceil(hi) - 1  : Math.floor(hi);
+        if( isFinite(first) )     candidates = _.range(first, first + tries);
+        else if( isFinite(last) ) candidates = _.range(last, last - tries, -1);
+        else                      candidates = _.flatMap(_.range(tries), i => [i, -i - 1]);
+        candidates = _.filter(candidates, c => c >= first && c <= last);
+    }
+    else {
+        // Reals: the bound itself when it is inclusive, else a step inside it.
+        if( isFinite(lo) && isFinite(hi) ) {
+            candidates = [loStrict ? (lo + hi) / 2 : lo, hiStrict ? (lo + hi) / 2 : hi];
+            candidates.push(..._.map(_.range(2, tries + 2), i => lo + (hi - lo) / Math.pow(2, i)));
+        }
+        else if( isFinite(lo) ) candidates = _.map(_.range(tries), i => lo + (loStrict ? i + 1 : i));
+        else if( isFinite(hi) ) candidates = _.map(_.range(tries), i => hi - (hiStrict ? i + 1 : i));
+        else                    candidates = _.flatMap(_.range(tries), i => [i, -i - 1]);
+        candidates = _.filter(candidates, c => (loStrict ? c > lo : c >= lo) && (hiStrict ? c < hi : c <= hi));
+    }
+
+    let value = _.find(candidates, c => !_.some(excluded, e => Math.abs(e - c) < 1e-9));
+    return value === undefined ? null : value;
+}
+
+
+/**
+ * A string different from each of the excluded ones.
+ */
+function freshString(excluded) {
+    if( _.isEmpty(excluded) ) {
+        return '';
+    }
+    let value = `${excluded[0]}!`;
+    while( _.includes(excluded, value) ) {
+        value += '!';
+    }
+    return value;
+}
+
+
+// Export
+module.exports.solve = solve;
+module.exports.linear = linear;
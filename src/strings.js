@@ -0,0 +1,163 @@
+// Core/NPM Modules
+const _       = require('lodash');
+
+
+
+// String methods a check on a parameter can call, and the ones transforming it before the check.
+const checkMethods     = ['indexOf', 'lastIndexOf', 'startsWith', 'endsWith', 'includes', 'charAt',
+                          'substring', 'substr', 'slice', 'localeCompare'];
+const transformMethods = ['toLowerCase', 'toUpperCase', 'toLocaleLowerCase', 'toLocaleUpperCase',
+                          'trim', 'trimStart', 'trimEnd', 'trimLeft', 'trimRight'];
+
+// Characters padding the generated strings, the first one not otherwise in them is used.
+const padding = ['a', 'b', 'x', 'z', '-', '_'];
+
+
+/**
+ * Build strings which pass and fail a check a function makes with a string method on a
+ * parameter: `name.indexOf('x') > 2`, `name.startsWith('x')`, `name.endsWith('x')`,
+ * `name.includes('x')`, `name.charAt(2) === 'x'` or `name[2] === 'x'`,
+ * `name.substring(1, 4) == 'abc'`, `name.localeCompare('m') < 0`, also after
+ * `toLowerCase`/`toUpperCase`/`trim` calls, as in `name.trim().toLowerCase().startsWith('x')`.
+ *
+ * Checks whose arguments are not literals are left alone.
+ *
+ * @param   {Object}   node   Esprima node: the method call, or the index access.
+ * @param   {Object}   parent Parent node, the comparison the call is part of, if any.
+ * @param   {String[]} params Parameter names of the function.
+ * @returns {Object}          `{ ident, values }`, the parameter and the strings for it, or null.
+ */
+function stringValues(node, parent, params) {
+
+    // The method and its literal arguments, or the index of `name[2]`.
+    let method, args, receiver;
+    if( node.type === 'CallExpression' && node.callee.type === 'MemberExpression' && !node.callee.computed &&
+        _.includes(checkMethods, node.callee.property.name) ) {
+        method = node.callee.property.name;
+        receiver = node.callee.object;
+        args = node.arguments;
+    }
+    else if( node.type === 'MemberExpression' && node.computed && node.property.type === 'Literal' &&
+             Number.isInteger(node.property.value) ) {
+        method = 'charAt';
+        receiver = node.object;
+        args = [node.property];
+    }
+    else {
+        return null;
+    }
+    if( !_.every(args, arg => arg.type === 'Literal' && !arg.regex) ) {
+        return null;
+    }
+    args = _.map(args, 'value');
+
+    // Follow the transforming calls down to the parameter.
+    let transforms = [];
+    while( receiver.type === 'CallExpression' && receiver.callee.type === 'MemberExpression' && !receiver.callee.computed &&
+           _.includes(transformMethods, receiver.callee.property.name) ) {
+        transforms.unshift(receiver.callee.property.name);
+        receiver = receiver.callee.object;
+    }
+    if( receiver.type !== 'Identifier' || !_.includes(params, receiver.name) ) {
+        return null;
+    }
+
+    // What the result is compared with, when it is a literal.
+    let compared = null;
+    if( parent && parent.type === 'BinaryExpression' ) {
+        let other = parent.left === node ? parent.right : parent.left;
+        if( other.type === 'Literal' && !other.regex ) {
+            compared = other.value;
+        }
+        if( other.type === 'UnaryExpression' && other.operator === '-' && other.argument.type === 'Literal' ) {
+            compared = -other.argument.value;
+        }
+    }
+
+    let values = checkValues(method, args, compared);
+    for (let transform of transforms) {
+        values = _.flatMap(values, value => [value, untransform(transform, value)]);
+    }
+
+    return { ident: receiver.name, values: _.uniq(values) };
+}
+
+
+/**
+ * Strings on either side of one check.
+ *
+ * @param   {String} method   String method called, with index access as 'charAt'.
+ * @param   {Array}  args     Literal arguments of the call.
+ * @param   {*}      compared Literal the result is compared with, or null.
+ * @returns {String[]}        Strings passing and failing the check.
+ */
+function checkValues(method, args, compared) {
+
+    let word = typeof args[0] === 'string' ? args[0] : '';
+    let pad = _.find(padding, c => !_.includes(word, c) && !_.includes(String(compared), c)) || ' ';
+    let at = n => _.repeat(pad, Math.max(n, 0));
+
+    switch (method) {
+
+        // Absent, at the start, and at the compared position and its neighbours.
+        case 'indexOf':
+        case 'lastIndexOf': {
+            let values = [at(3), word, pad + word];
+            if( Number.isInteger(compared) && compared >= 0 ) {
+                values.push(at(compared - 1) + word, at(compared) + word, at(compared + 1) + word);
+            }
+            return values;
+        }
+
+        case 'startsWith':
+            return [word + pad, pad + word, ''];
+
+        case 'endsWith':
+            return [pad + word, word + pad, ''];
+
+        case 'includes':
+            return [pad + word + pad, pad];
+
+        // The compared character at the index, another one, and a string too short to have one.
+        case 'charAt': {
+            let index = Number.isInteger(args[0]) ? args[0] : 0;
+            let character = typeof compared === 'string' && compared.length ? compared : pad;
+            let other = _.find(padding, c => c !== character) || ' ';
+            return [at(index) + character, at(index) + other, at(index)];
+        }
+
+        // The compared text at the start index, the text with its first character changed, and too short a string.
+        case 'substring':
+        case 'substr':
+        case 'slice': {
+            let start = Number.isInteger(args[0]) && args[0] > 0 ? args[0] : 0;
+            let text = typeof compared === 'string' ? compared : word;
+            let changed = text.length ? pad + text.substring(1) : pad;
+            return [at(start) + text + pad, at(start) + changed + pad, at(start)];
+        }
+
+        // Equal, greater and less.
+        case 'localeCompare':
+            return word.length ? [word, word + pad, ''] : [word, pad];
+    }
+
+    return [];
+}
+
+
+/**
+ * Another string which a transforming method turns into the same one.
+ */
+function untransform(transform, value) {
+    if( _.includes(['toLowerCase', 'toLocaleLowerCase'], transform) ) {
+        return value.toUpperCase();
+    }
+    if( _.includes(['toUpperCase', 'toLocaleUpperCase'], transform) ) {
+        return value.toLowerCase();
+    }
+    return ` ${value} `;
+}
+
+
+// Export
+module.exports = stringValues;
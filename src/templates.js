@@ -0,0 +1,138 @@
+// Core/NPM Modules
+const _       = require('lodash');
+
+
+
+/**
+ * Output templates, laying the generated tests out in a test file.
+ *
+ * A template is a function taking the suite, `{ title, groups }`, with a group for each
+ * function, `{ funcName, tests }`, and returning the source following the lines which
+ * require the subject, mock-fs and chai. Each test is
+ * `{ name, call, comment, mockSetup, mockTitle, async, code }`: its name, the call it makes,
+ * a comment to put before it, or null, the mock file system it runs on, or null, and a
+ * title for that mock, whether it is asynchronous, and its code: statements for synchronous
+ * tests, a Promise expression settling when the test is done for asynchronous ones. The
+ * template sets the mock up before the code runs and restores it once it is done.
+ */
+
+
+/**
+ * A script making the calls one after the other, asynchronous ones queued once the
+ * synchronous ones are done, which sets its exit code when one of them fails.
+ */
+function plain(suite) {
+
+    let tests = _.flatMap(suite.groups, 'tests');
+    let content = "";
+
+    // Asynchronous calls run one after the other on a queue, once the synchronous ones are done.
+    let queued = _.some(tests, 'async');
+    if( queued ) {
+        content += `let queue = Promise.resolve();\n`;
+    }
+
+    for (let test of tests) {
+        if( test.comment ) {
+            content += `// ${test.comment}\n`;
+        }
+
+        // Keep the mock until the Promise settles, restoring it either way.
+        if( test.async ) {
+            let restore = test.mockSetup ? `\n\t.then(() => mock.restore(), error => { mock.restore(); throw error; })` : '';
+            content += 'queue = queue.then(() => {\n';
+            content += test.mockSetup ? `\tmock(${test.mockSetup});\n` : '';
+            content += indent(`return ${test.code}${restore};`, 1);
+            content += '});\n';
+        }
+        // Keep the mock active for the call only, and restore it even when the assertion fails.
+        else if( test.mockSetup ) {
+            content += `mock(${test.mockSetup});\ntry {\n${indent(test.code, 1)}} finally {\n\tmock.restore();\n}\n`;
+        }
+        // Statements declaring variables get a block of their own.
+        else {
+            content += _.includes(test.code, '\n') ? `{\n${indent(test.code, 1)}}\n` : `${test.code}\n`;
+        }
+    }
+
+    // Report the first failing asynchronous test.
+    if( queued ) {
+        content += `queue.catch(error => { console.error(error); process.exitCode = 1; });\n`;
+    }
+    return content;
+}
+
+
+/**
+ * A mocha suite.
+ */
+function mocha(suite) {
+    return bdd(suite, 'it');
+}
+
+
+/**
+ * A Jest suite.
+ */
+function jest(suite) {
+    return bdd(suite, 'test');
+}
+
+
+/**
+ * A suite for Node's built-in test runner, `node --test`.
+ */
+function node(suite) {
+    return `const { describe, it, beforeEach, afterEach } = require('node:test');\n` + bdd(suite, 'it');
+}
+
+
+/**
+ * A suite with a `describe` for each function and a test for each call, the calls on
+ * the same mock file system in a `describe` of their own, which sets the mock up in
+ * `beforeEach` and restores it in `afterEach`.
+ *
+ * @param   {Object} suite Suite, see above.
+ * @param   {String} test  Name of the function declaring a test, `it` or `test`.
+ * @returns {String}       Source of the suite.
+ */
+function bdd(suite, test) {
+
+    let tests = (cases, tabs) => _.map(cases, c =>
+        (c.comment ? indent(`// ${c.comment}`, tabs) : '') +
+        indent(`${test}(${JSON.stringify(c.name)}, () => {`, tabs) +
+        indent(c.async ? `return ${c.code};` : c.code, tabs + 1) +
+        indent('});', tabs)).join('');
+
+    let content = "";
+    for (let group of suite.groups) {
+        content += `describe(${JSON.stringify(group.funcName)}, () => {\n`;
+        content += tests(_.reject(group.tests, 'mockSetup'), 1);
+
+        let mocked = _.groupBy(_.filter(group.tests, 'mockSetup'), 'mockSetup');
+        for (let mockSetup of _.keys(mocked)) {
+            content += indent(`describe(${JSON.stringify(mocked[mockSetup][0].mockTitle)}, () => {`, 1);
+            content += indent(`beforeEach(() => { mock(${mockSetup}); });`, 2);
+            content += indent('afterEach(() => { mock.restore(); });', 2);
+            content += tests(mocked[mockSetup], 2);
+            content += indent('});', 1);
+        }
+        content += '});\n';
+    }
+    return content;
+}
+
+
+/**
+ * Indent each line of some code by a number of tabs.
+ */
+function indent(code, tabs) {
+    return _.map(_.compact(code.split('\n')), line => _.repeat('\t', tabs) + line + '\n').join('');
+}
+
+
+// Export
+module.exports.plain = plain;
+module.exports.mocha = mocha;
+module.exports.jest  = jest;
+module.exports.node  = node;
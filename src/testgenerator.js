@@ -1,127 +1,939 @@
 // Core/NPM Modules
+const esprima = require('esprima');
+const fs      = require('fs');
 const product = require('iter-tools/lib/product');
-const fs      = require("fs");
 const mock    = require('mock-fs');
+const path    = require('path');
+const vm      = require('vm');
 const _       = require('lodash');
 
 
+// Local Modules
+const oracle  = require('./oracle');
+const solver  = require('./solver');
+const concolic = require('./concolic');
+const coverageGuided = require('./coverage');
+const dataflow = require('./dataflow');
+const random  = require('./random');
+const templates = require('./templates');
+const throws  = require('./throws');
 
-// Mock file operations
-const mockFileLibrary = {
-    pathExists: {
-        // 'path/fileExists': {  },
-        // 'path/nonempty': { 'file': '' },
-        emptyDir: 'mock.directory()',
-        nonEmptyDir: 'mock.directory({ items: { file: mock.file() } })',
-        file: 'mock.file()'
-    },
-    fileWithContent: {
-        pathContent: {
-            file1: "new Buffer('abc')",
-            someDir: 'mock.directory()'
+
+
+// Upper bound on the argument combinations checked against a function's paths.
+const maxPathCombinations = 10000;
+
+// Argument lists tried for each method called before an instance method.
+const maxSequenceArguments = 3;
+
+// Upper bound on the calls run to reach one function's throw statements.
+const maxThrowAttempts = 200;
+
+// Longest constraint expression or argument a test is named after.
+const maxExpressionLength = 40;
+
+// Milliseconds an asynchronous call is given to settle outside snapshot mode, below mocha's default timeout.
+const maxSettleTime = 1000;
+
+// Methods which only read their receiver and arguments, called when naming a test.
+const pureMethods = ['indexOf', 'lastIndexOf', 'includes', 'startsWith', 'endsWith', 'charAt', 'charCodeAt', 'slice',
+                     'substring', 'substr', 'trim', 'trimStart', 'trimEnd', 'toLowerCase', 'toUpperCase', 'test'];
+
+// Operators spaced out when naming a test, other than `+` and `-`, which may be unary.
+const binaryOperators = ['==', '===', '!=', '!==', '<', '>', '<=', '>=', '&&', '||', '??', '*', '/', '%', '**',
+                         '&', '|', '^', '<<', '>>', '>>>', '=', '+=', '-=', '*=', '/=', '%=', '=>'];
+
+// The comparison holding exactly where each one does not.
+const negatedOperators = { '<': '>=', '>=': '<', '>': '<=', '<=': '>', '==': '!=', '!=': '==', '===': '!==', '!==': '===' };
+
+
+/**
+ * Generate test cases based on the global object functionConstraints.
+ *
+ * In snapshot mode every generated call is run against the subject at generation
+ * time and the test asserts on the recorded return value or thrown error, so the
+ * suite fails when behavior changes. Regenerating accepts the current behavior.
+ *
+ * The synchronous calls of functions with throw statements, their own or of functions
+ * they call, are run in any mode to tell the errors they throw apart: one a throw
+ * statement accounts for gets a test asserting its type and message, and calls are
+ * searched for each throw no call reaches yet. Any other error a call which is run
+ * throws, as a `TypeError` reading a property of `undefined`, is reported as a probable
+ * bug. Calls run on an empty mock file system where they use no mock of their own, and
+ * none are run where mock-fs cannot hide the real one.
+ *
+ * @param {String}   filepath                      Path of the module under test.
+ * @param {Object}   functionConstraints           Constraints object as returned by `constraints`.
+ * @param {Object}   [options]                     Generation options.
+ * @param {Boolean}  [options.snapshot]            Whether to emit snapshot assertions instead of swallowing errors.
+ * @param {String}   [options.strategy]            'paths' (default) for one call per feasible path, 'product' for every
+ *                                                 combination.
+ * @param {Boolean}  [options.concolic]            Whether to explore from the generated calls concolically, see `concolic`.
+ * @param {Boolean}  [options.coverage]            Whether to grow the generated calls under branch coverage feedback, see
+ *                                                 `coverage`.
+ * @param {String[]} [options.functions]           Names of the functions to test, all of them by default.
+ * @param {String[]} [options.exclude]             Names of the functions not to test.
+ * @param {Number}   [options.maxCasesPerFunction] Upper bound on the tests generated for one function.
+ * @param {Number}   [options.seed]                Seed of the random choices made while generating, a new random one
+ *                                                 by default.
+ * @param {String}   [options.format]              Output template: 'plain' (default) for a script making the calls,
+ *                                                 'mocha', 'jest' or 'node' for a suite with a `describe` for each
+ *                                                 function and a test for each call, or a template function, see
+ *                                                 `templates`.
+ * @param {String}   [options.out]                 Path the test file is to be written to, `test.js` by default; the
+ *                                                 subject is required relative to it.
+ * @returns {Object}                               Report: `{ coverage, bugs, warnings, source }`, with `coverage` the
+ *                                                 coverage report as returned by `coverage` when asked for, otherwise
+ *                                                 null, `bugs` the probable bugs: `{ funcName, call, error }`, one for
+ *                                                 each function and error, `warnings` what kept the generation from
+ *                                                 being reproducible, and `source` the generated test file.
+ */
+function generateTestCases(filepath, functionConstraints, options = {}) {
+
+    // Make the same random choices on every run with the seed, recorded in the test file.
+    let seed = random.seed(options.seed);
+
+    // Functions whose calls are run to record their outcomes.
+    let observed = funcName => options.snapshot || !_.isEmpty(reachableSites(functionConstraints, funcName));
+
+    // Subject module, to record outcomes; a subject which cannot be loaded only gets them in snapshot mode, failing.
+    let subject = null;
+    if( _.some(_.keys(functionConstraints), observed) ) {
+        if( mockIsolates(filepath) ) {
+            subject = options.snapshot ? require(filepath) : loadSubject(filepath);
+        }
+        else if( options.snapshot ) {
+            throw new Error(`mock-fs does not hide the file system on Node ${process.version}: the subject cannot be run safely`);
+        }
+    }
+
+    // Generated calls, optionally grown by concolic exploration from them.
+    let cases = generateCases(functionConstraints, options);
+    let warnings = [];
+    if( options.concolic ) {
+        let explored = concolic(filepath, functionConstraints, cases, options);
+        cases = explored.cases;
+        if( explored.timedOut ) {
+            warnings.push(`concolic exploration ran out of time; generating again with --seed ${seed} may give other tests`);
+        }
+    }
+    let report = null;
+    if( options.coverage ) {
+        let pool = generateCases(functionConstraints, { strategy: 'product' });
+        report = coverageGuided(filepath, functionConstraints, cases, pool);
+        cases = report.cases;
+    }
+
+    // Keep the functions asked for.
+    let tested = funcName => (!options.functions || _.includes(options.functions, funcName)) && !_.includes(options.exclude, funcName);
+    cases = _.filter(cases, testCase => tested(testCase.funcName));
+
+    // Outcomes of the synchronous calls, with calls reaching the throws none reaches yet.
+    let outcomes = [];
+    if( subject ) {
+        outcomes = _.map(cases, testCase => testCase.async || !observed(testCase.funcName) ? null : observeCase(subject, testCase));
+        let targeted = targetThrows(subject, _.pickBy(functionConstraints, (entry, funcName) => tested(funcName)), cases, outcomes);
+        cases = cases.concat(targeted.cases);
+        outcomes = outcomes.concat(targeted.outcomes);
+    }
+
+    // Tests, each with a name, the code making the call, and a comment on it.
+    let tests = [];
+    let asserted = false;
+    let bugs = [];
+
+    _.forEach(cases, (testCase, i) => {
+        let { funcName, accessor, args, mockSetup } = testCase;
+        let setup = testCase.setup || [];
+        let outcome = outcomes[i];
+        let test = {
+            funcName:  funcName,
+            name:      caseName(functionConstraints[funcName], testCase),
+            call:      `${accessor}(${args})`,
+            comment:   null,
+            mockSetup: mockSetup,
+            mockTitle: mockSetup ? mockTitle(mockSetup) : null,
+            async:     !!testCase.async,
+            code:      ''
+        };
+
+        // Errors no throw statement accounts for.
+        let site = outcome && outcome.threw && !outcome.inSetup ? throwSite(functionConstraints, funcName, outcome.error) : null;
+        if( outcome && outcome.threw && !outcome.inSetup && !site ) {
+            let error = outcome.error;
+            if( !_.some(bugs, bug => bug.funcName === funcName && _.isEqual(bug.error, error)) ) {
+                bugs.push({ funcName: funcName, call: test.call, error: error });
+            }
+            test.comment = `Probable bug: ${error.name || 'thrown'}: ${String(error.message).split('\n')[0]}`;
         }
+
+        if( testCase.async ) {
+            test.code = generateAsyncTestCase(filepath, testCase, options);
+        }
+        else if( options.snapshot || site ) {
+            if( site && !oracle.isGlobalErrorClass(outcome.error.name) && oracle.resolve(subject, `subject.${outcome.error.name}`) ) {
+                outcome.error.accessor = `subject.${outcome.error.name}`;
+            }
+            test.code = generateOutcomeTestCase(outcome, accessor, args, setup);
+            asserted = true;
+        }
+        // Otherwise, just generate the naive test of calling the function
+        // with default arguments and alternative arguments.
+        else {
+            test.code = `try { ${ setup.concat(`${accessor}(${args});`).join(' ') } } catch (e) {}`;
+        }
+
+        // Calls which were not made, or did not settle, have nothing to test.
+        if( test.code ) {
+            tests.push(test);
+        }
+    });
+
+    // Keep at most the tests asked for of each function.
+    let groups = _.map(_.groupBy(tests, 'funcName'), (group, funcName) => ({
+        funcName: funcName,
+        tests:    options.maxCasesPerFunction !== undefined ? _.take(group, options.maxCasesPerFunction) : group
+    }));
+
+    // Tests of the same function with the same name are numbered.
+    for (let group of groups) {
+        _.forEach(_.groupBy(group.tests, 'name'), same => {
+            if( same.length > 1 ) {
+                _.forEach(same, (test, n) => { test.name = `${test.name} (#${n + 1})`; });
+            }
+        });
+    }
+
+    // Require the subject, the mock file system and, for assertions, chai.
+    let header = `// Generated with --seed ${seed}\n`;
+    header += `let subject = require(${JSON.stringify(requirePath(filepath, options.out))})\nlet mock = require('mock-fs');\n`;
+    if( options.snapshot || asserted ) {
+        header += `let assert = require('chai').assert;\n`;
+    }
+
+    let template = typeof options.format === 'function' ? options.format : templates[options.format || 'plain'];
+    if( !template ) {
+        throw new Error(`unknown format '${options.format}', expected a function or one of ${_.keys(templates).join(', ')}`);
     }
-};
+    let source = header + template({ title: path.basename(filepath), groups: groups });
+
+    return { coverage: report, bugs: bugs, warnings: warnings, source: source };
+}
 
 
 /**
- * Generate test cases based on the global object functionConstraints.
+ * The path a test file at `out` requires the module at `filepath` by: relative to the
+ * test file, with forward slashes, so that the file runs from any checkout.
+ */
+function requirePath(filepath, out = 'test.js') {
+    let relative = path.relative(path.dirname(path.resolve(out)), path.resolve(filepath));
+
+    // On another drive there is no relative path.
+    if( path.isAbsolute(relative) ) {
+        return relative;
+    }
+    relative = relative.split(path.sep).join('/');
+    return /^\.\.?\//.test(relative) ? relative : `./${relative}`;
+}
+
+
+/**
+ * Name a test case after the constraints its arguments come from: each one's expression,
+ * negated where the argument makes it false, as in "weird: x <= 7, mode == 'strict'". An
+ * argument no constraint gives, filling in for the values compared with, is "mode other
+ * than 'strict'"; the parameter is given with the argument where the expression cannot be
+ * evaluated without effects or is long, or nothing is compared with. Then come the
+ * statements preparing the instance, if any.
+ *
+ * @param   {Object} entry    Constraints of the function, as returned by `constraints`.
+ * @param   {Object} testCase Test case, as returned by `generateCases`.
+ * @returns {String}          Name.
+ */
+function caseName(entry, testCase) {
+
+    let values;
+    try {
+        values = oracle.argumentValues(testCase.args);
+    }
+    catch (e) {
+        return `${testCase.funcName}(${testCase.args})`;
+    }
+
+    let labels = [];
+    _.forEach(entry.params, (param, i) => {
+        if( i >= values.length || param === entry.callback ) {
+            return;
+        }
+        let constraint = _.find(entry.constraints[param], c => {
+            try {
+                return _.isEqual(oracle.argumentValues(String(c.value))[0], values[i]);
+            }
+            catch (e) {
+                return false;
+            }
+        });
+
+        // The expression where the argument makes it true, its negation where false.
+        let expression = constraint ? formatExpression(String(constraint.expression)) : '';
+        let holds = constraint && expression.length <= maxExpressionLength ? evaluate(expression, entry.params, values) : undefined;
+        let compared = constraint ? [] : comparedValues(entry.constraints[param], param);
+        if( typeof holds === 'boolean' ) {
+            labels.push(holds ? expression : negateExpression(expression));
+        }
+        else if( compared.length ) {
+            labels.push(`${param} other than ${compared.join(' or ')}`);
+        }
+        else {
+            let value = oracle.serialize(values[i]);
+            labels.push(`${param} = ${value !== null && value.length <= maxExpressionLength ? value : _.truncate(String(value), { length: maxExpressionLength })}`);
+        }
+    });
+
+    let setup = (testCase.setup || []).slice(1);
+    if( setup.length ) {
+        labels.push(`after ${setup.join(' ')}`);
+    }
+    // Parameters compared with each other share their label.
+    labels = _.uniq(labels);
+    return labels.length ? `${testCase.funcName}: ${labels.join(', ')}` : `${testCase.funcName}(${testCase.args})`;
+}
+
+
+/**
+ * Evaluate an expression over the parameters, unless it calls anything but the methods
+ * of `pureMethods`, constructs or assigns anything, which could have effects.
+ *
+ * @returns {*} The expression's value, or undefined when it is not evaluated or throws.
+ */
+function evaluate(expression, params, values) {
+    let pure = true;
+    try {
+        dataflow.walk(esprima.parseScript(`(${expression})`), node => {
+            let method = node.type === 'CallExpression' && node.callee.type === 'MemberExpression' && !node.callee.computed &&
+                _.includes(pureMethods, node.callee.property.name);
+            if( (node.type === 'CallExpression' && !method) ||
+                _.includes(['NewExpression', 'AssignmentExpression', 'UpdateExpression', 'TaggedTemplateExpression',
+                            'FunctionExpression', 'ArrowFunctionExpression', 'AwaitExpression', 'YieldExpression'], node.type) ||
+                (node.type === 'UnaryExpression' && node.operator === 'delete') ) {
+                pure = false;
+            }
+        });
+        return pure ? new Function(...params, `return (${expression});`)(...values) : undefined;
+    }
+    catch (e) {
+        return undefined;
+    }
+}
+
+
+/**
+ * Respace an expression the usual way: binary operators between spaces, unary ones and
+ * member accesses without, a space after commas. Source that does not tokenize only has
+ * its runs of whitespace collapsed.
+ */
+function formatExpression(expression) {
+    let tokens;
+    try {
+        tokens = esprima.tokenize(expression);
+    }
+    catch (e) {
+        return expression.replace(/\s+/g, ' ').trim();
+    }
+
+    let ternaries = 0;
+    return _.map(tokens, (token, i) => {
+        let previous = tokens[i - 1];
+        let operand = previous && (previous.type === 'Punctuator' ? _.includes([')', ']', '}'], previous.value)
+                                                                  : previous.type !== 'Keyword' || previous.value === 'this');
+        if( token.type === 'Keyword' ) {
+            return _.includes(['in', 'instanceof'], token.value) ? ` ${token.value} `
+                 : _.includes(['typeof', 'void', 'delete', 'new', 'await'], token.value) ? `${token.value} ` : token.value;
+        }
+        if( token.type !== 'Punctuator' ) {
+            return token.value;
+        }
+        switch (token.value) {
+            case ',':
+                return ', ';
+            case '?':
+                ternaries++;
+                return ' ? ';
+            case ':':
+                if( ternaries > 0 ) {
+                    ternaries--;
+                    return ' : ';
+                }
+                return ': ';
+            case '+':
+            case '-':
+                return operand ? ` ${token.value} ` : token.value;
+            default:
+                return _.includes(binaryOperators, token.value) ? ` ${token.value} ` : token.value;
+        }
+    }).join('').replace(/ +/g, ' ').trim();
+}
+
+
+/**
+ * Negate a formatted expression, by the opposite comparison where it is one: `x <= 7`
+ * for `x > 7`, `q != undefined` for `q == undefined`.
+ */
+function negateExpression(expression) {
+    let source = `(${expression})`;
+    let node;
+    try {
+        node = esprima.parseScript(source, { range: true }).body[0].expression;
+    }
+    catch (e) {
+        return `!(${expression})`;
+    }
+
+    if( node.type === 'BinaryExpression' && negatedOperators[node.operator] ) {
+        let between = source.substring(node.left.range[1], node.right.range[0]).replace(node.operator, negatedOperators[node.operator]);
+        return (source.substring(0, node.left.range[1]) + between + source.substring(node.right.range[0])).slice(1, -1);
+    }
+    if( node.type === 'UnaryExpression' && node.operator === '!' ) {
+        return source.substring(node.argument.range[0], node.argument.range[1]);
+    }
+    return _.includes(['Identifier', 'MemberExpression', 'CallExpression'], node.type) ? `!${expression}` : `!(${expression})`;
+}
+
+
+/**
+ * The literals a parameter's constraints compare it with for equality, as source.
+ */
+function comparedValues(constraints, param) {
+    return _.uniq(_.compact(_.map(constraints, c => {
+        let node;
+        try {
+            node = esprima.parseScript(`(${c.expression})`).body[0].expression;
+        }
+        catch (e) {
+            return null;
+        }
+        if( node.type !== 'BinaryExpression' || !_.includes(['==', '===', '!=', '!=='], node.operator) ) {
+            return null;
+        }
+        let [side, other] = node.left.type === 'Literal' ? [node.right, node.left] : [node.left, node.right];
+        return side.type === 'Identifier' && side.name === param && other.type === 'Literal' && !other.regex ? other.raw : null;
+    })));
+}
+
+
+/**
+ * Title the tests on a mock file system after the paths it holds.
+ */
+function mockTitle(mockSetup) {
+    let paths = _.keys(vm.runInThisContext(`(function(mock) { return ${mockSetup}; })`)(mock));
+    return paths.length ? `file system: ${paths.join(', ')}` : 'empty file system';
+}
+
+
+/**
+ * Generate the calls to make for the global object functionConstraints.
+ *
+ * Instance methods are called on an instance built in the case's `setup`: constructed
+ * with each argument list generated for the constructor, with a field the method reads
+ * set to each value it is compared against, or after calling another method which
+ * writes such a field once or twice.
  *
- * @param {String} filepath            Path to write test file.
- * @param {Object} functionConstraints Constraints object as returned by `constraints`.
+ * @param   {Object}   functionConstraints Constraints object as returned by `constraints`.
+ * @param   {Object}   [options]           Generation options, see `generateTestCases`.
+ * @returns {Object[]}                     Test cases: `{ funcName, accessor, args, mockSetup, setup, async }`, where
+ *                                         `accessor` is the expression reaching the function from `subject`, `args`
+ *                                         the function argument string, `mockSetup` the mock file system source,
+ *                                         or null when the call needs none, `setup` the statements to run before
+ *                                         the call, or null, and `async` how the call completes, see `constraints`.
  */
-function generateTestCases(filepath, functionConstraints) {
+function generateCases(functionConstraints, options = {}) {
 
-    // Content string. This will be built up to generate the full text of the test string.
-    let content = `let subject = require('${filepath}')\nlet mock = require('mock-fs');\n`;
+    let cases = [];
 
     // Iterate over each function in functionConstraints
     for ( let funcName in functionConstraints ) {
+        cases.push(...functionCases(functionConstraints, funcName, options));
+    }
+
+    return cases;
+}
+
+
+/**
+ * Generate the calls to make for one function, one at a time, so that a caller taking
+ * only the first few of every combination never builds the rest.
+ *
+ * @param   {Object}   functionConstraints Constraints object as returned by `constraints`.
+ * @param   {String}   funcName            Name of the function.
+ * @param   {Object}   [options]           Generation options, see `generateTestCases`.
+ * @returns {Iterator}                     Test cases, see `generateCases`.
+ */
+function* functionCases(functionConstraints, funcName, options = {}) {
+
+    // Functions the module does not export cannot be called.
+    let entry = functionConstraints[funcName];
+    if( !entry.accessor ) {
+        return;
+    }
+
+    // Instance methods are called on each prepared instance, other functions as they are reached.
+    let receivers = entry.instance
+        ? instanceSetups(functionConstraints, funcName, options)
+        : [{ accessor: entry.accessor, setup: null }];
+
+    // Generate function argument strings from parameter objects.
+    for (let combination of argumentCombinations(entry, options)) {
+        let args = combination.join(', ');
+        for (let { accessor, setup } of receivers) {
+            yield { funcName: funcName, accessor: accessor, args: args, mockSetup: mockFsSetup(entry, args), setup: setup, async: entry.async };
+        }
+    }
+}
 
-        // Reference all constraints for funcName.
-        let params = functionConstraints[funcName].params;
 
-        // Get constraints and map to values
-        let constraints = functionConstraints[funcName].constraints;
-        let values =  _.mapValues(constraints, (arr) => _.map(arr, c => c.value));
+/**
+ * Generate the argument strings to call a function with.
+ *
+ * @param   {Object}   entry     Constraints of the function, as returned by `constraints`.
+ * @param   {Object}   [options] Generation options, see `generateTestCases`.
+ * @returns {String[]}           Function argument strings.
+ */
+function argumentStrings(entry, options = {}) {
+    return _.map(Array.from(argumentCombinations(entry, options)), combination => combination.join(', '));
+}
+
+
+/**
+ * Generate the argument combinations to call a function with.
+ *
+ * @param   {Object}   entry     Constraints of the function, as returned by `constraints`.
+ * @param   {Object}   [options] Generation options, see `generateTestCases`.
+ * @returns {Iterable}           Argument combinations, as lists of value strings; generated as they are taken
+ *                               for the 'product' strategy.
+ */
+function argumentCombinations(entry, options = {}) {
+
+    let params = entry.params;
+
+    // Get constraints and map to values, passing callbacks the test's own `callback`
+    let values =  _.mapValues(entry.constraints, (arr) => _.map(arr, c => c.value));
+    if( entry.callback ) {
+        values[entry.callback] = ['callback'];
+    }
+
+    // Generate possible combinations of arguments
+    let argCombinations = params.length ? product(..._.map(params, p => !_.isEmpty(values[p]) ? values[p] : ["''"])) : [[]];
+
+    // Unless every combination is asked for, keep the ones covering the function's paths,
+    // and the values its callees need, which its own paths know nothing of.
+    if( options.strategy !== 'product' && entry.paths ) {
+        argCombinations = withCalleeValues(entry, selectPathCombinations(params, entry.paths, argCombinations));
+    }
+
+    return argCombinations;
+}
+
+
+/**
+ * Add a combination for each value handed on to a parameter from a called function which
+ * none of the combinations passes: the first combination with that value in its place.
+ *
+ * @param   {Object}  entry        Constraints of the function, as returned by `constraints`.
+ * @param   {Array[]} combinations Selected argument combinations, as lists of value strings.
+ * @returns {Array[]}              The combinations, with the added ones after them.
+ */
+function withCalleeValues(entry, combinations) {
+    let base = _.first(combinations) || _.map(entry.params, param => _.get(entry.constraints[param], [0, 'value'], "''"));
+    let added = [];
+    _.forEach(entry.params, (param, i) => {
+        for (let constraint of _.filter(entry.constraints[param], 'via')) {
+            if( !_.some(combinations.concat(added), combination => combination[i] === constraint.value) ) {
+                added.push(_.map(base, (value, j) => j === i ? constraint.value : value));
+            }
+        }
+    });
+    return combinations.concat(added);
+}
+
+
+/**
+ * Prepare instances to call an instance method on.
+ *
+ * @param   {Object}   functionConstraints Constraints object as returned by `constraints`.
+ * @param   {String}   funcName            Name of the instance method.
+ * @param   {Object}   [options]           Generation options, see `generateTestCases`.
+ * @returns {Object[]}                     Receivers: `{ accessor, setup }`, with `setup` the statements preparing
+ *                                         `instance`, and `accessor` the method on it.
+ */
+function instanceSetups(functionConstraints, funcName, options = {}) {
+
+    let entry = functionConstraints[funcName];
+    let owner = entry.instance;
+    let prefix = `new ${owner.accessor}()`;
+    let method = entry.accessor.substring(prefix.length);
+
+    // Constructor arguments: the ones generated for the constructor, or none without one.
+    let ctor = functionConstraints[owner.name];
+    let ctorArgs = ctor && ctor.accessor === `new ${owner.accessor}` ? argumentStrings(ctor, options) : [''];
+    let construct = args => `let instance = new ${owner.accessor}(${args});`;
+
+    let setups = _.map(ctorArgs, args => [construct(args)]);
+
+    // Fields set directly, to each value the method compares them against.
+    for (let field in entry.fields) {
+        for (let value of _.uniq(_.map(entry.fields[field], c => String(c.value)))) {
+            for (let args of ctorArgs) {
+                setups.push([construct(args), `instance.${field} = ${value};`]);
+            }
+        }
+    }
+
+    // Calls to the other methods writing a field this one reads, once and twice.
+    for (let other in functionConstraints) {
+        let otherEntry = functionConstraints[other];
+        if( other === funcName || !otherEntry.instance || otherEntry.instance.name !== owner.name ||
+            _.isEmpty(_.intersection(otherEntry.writes, _.keys(entry.fields))) ) {
+            continue;
+        }
+        let call = `instance${otherEntry.accessor.substring(prefix.length)}`;
+        for (let args of _.take(argumentStrings(otherEntry, options), maxSequenceArguments)) {
+            for (let constructed of _.map(ctorArgs, construct)) {
+                setups.push([constructed, `${call}(${args});`]);
+                setups.push([constructed, `${call}(${args});`, `${call}(${args});`]);
+            }
+        }
+    }
+
+    return _.map(_.uniqBy(setups, setup => setup.join(' ')), setup => ({ accessor: `instance${method}`, setup: setup }));
+}
+
+
+/**
+ * Pick argument combinations that drive a function down each of its paths.
+ *
+ * The solver provides values for the parameters in linear and string conditions;
+ * the other parameters take the values found by `constraints`. A path whose
+ * conditions can all be decided from the arguments gets one satisfying combination,
+ * preferring one no other path uses yet. A path that also depends on something
+ * else, like the file system, keeps every combination satisfying the rest, since
+ * which of them reaches it is only known at run time. Paths the solver proves
+ * infeasible, or no combination satisfies, get none. One combination on which a
+ * condition throws is kept too, since the error it stops the function with may be a bug.
+ *
+ * @param   {String[]} params       Parameter names of the function.
+ * @param   {Object[]} paths        Paths as returned by `functionPaths`.
+ * @param   {Iterable} combinations Candidate argument combinations, as lists of value strings.
+ * @returns {Array[]}               Selected combinations, without duplicates.
+ */
+function selectPathCombinations(params, paths, combinations) {
+
+    // Evaluate each candidate's arguments once.
+    let candidates = [];
+    for (let combination of combinations) {
+        if( candidates.length === maxPathCombinations ) break;
+        try {
+            candidates.push({ combination: combination, values: oracle.argumentValues(combination.join(', ')) });
+        }
+        catch (e) {
+            continue;
+        }
+    }
+
+    // Whether a candidate gives a condition the outcome the path needs. A condition
+    // which throws stops the function there, so it satisfies neither outcome.
+    let compiled = {};
+    let evaluate = (condition, candidate) => {
+        try {
+            compiled[condition.test] = compiled[condition.test] || new Function(...params, `return ${condition.test};`);
+        }
+        catch (e) {
+            return { threw: false, value: undefined };
+        }
+        try {
+            return { threw: false, value: !!compiled[condition.test].apply(null, candidate.values) };
+        }
+        catch (e) {
+            return { threw: true };
+        }
+    };
+    let holds = (condition, candidate) => {
+        let result = evaluate(condition, candidate);
+        return !result.threw && result.value === condition.outcome;
+    };
+
+    let key = candidate => candidate.combination.join(', ');
+    let selected = [];
+    for (let path of paths) {
+        let decidable = _.filter(path.conditions, c => c.test !== null);
+
+        // Solve what the solver supports; infeasible paths get no combination.
+        let solution = solver.solve(params, decidable);
+        if( !solution.feasible ) {
+            continue;
+        }
+
+        // Put the solved values into the candidates, unless the rest of the conditions then fail.
+        let satisfying = [];
+        let solved = _.pick(solution.values, params);
+        if( !_.isEmpty(solved) ) {
+            let fixed = _.uniqBy(_.map(candidates, candidate => withValues(params, candidate, solved)), key);
+            satisfying = _.filter(fixed, candidate => _.every(decidable, c => holds(c, candidate)));
+        }
+        if( _.isEmpty(satisfying) ) {
+            satisfying = _.filter(candidates, candidate => _.every(decidable, c => holds(c, candidate)));
+        }
+
+        if( _.isEmpty(satisfying) ) {
+            continue;
+        }
+        if( decidable.length < path.conditions.length ) {
+            selected.push(...satisfying);
+        }
+        else {
+            selected.push(_.find(satisfying, candidate => !_.some(selected, s => key(s) === key(candidate))) || satisfying[0]);
+        }
+    }
 
-        // Generate possible combinations of arguments
-        let argCombinations = product(..._.map(params, p => !_.isEmpty(values[p]) ? values[p] : ["''"]));
+    // One candidate on which a condition throws, as reading a property of `undefined`, which may show a bug.
+    let crashing = _.find(candidates, candidate => _.some(paths, path =>
+        _.some(path.conditions, c => c.test !== null && evaluate(c, candidate).threw)));
+    if( crashing ) {
+        selected.push(crashing);
+    }
+
+    return _.map(_.uniqBy(selected, key), 'combination');
+}
 
-        // Handle global constraints...
-        // Whether or not any constraint is of type fileWithContent of fileExists.
-        let allConstraints = _.flattenDeep(_.map(constraints));
-        let fileWithContent = _.some(allConstraints, { kind: 'fileWithContent' });
-        let pathExists      = _.some(allConstraints, { kind: 'fileExists' });
 
-        // Generate function argument strings from parameter objects.
-        for (let combination of argCombinations) {
+/**
+ * Replace some parameters of a candidate combination by solved values.
+ *
+ * @param   {String[]} params    Parameter names of the function.
+ * @param   {Object}   candidate Candidate: `{ combination, values }`.
+ * @param   {Object}   solved    Values by parameter name.
+ * @returns {Object}             New candidate.
+ */
+function withValues(params, candidate, solved) {
+    return {
+        combination: _.map(candidate.combination, (value, i) => solved.hasOwnProperty(params[i]) ? oracle.serialize(solved[params[i]]) : value),
+        values:      _.map(candidate.values, (value, i) => solved.hasOwnProperty(params[i]) ? solved[params[i]] : value)
+    };
+}
 
-            // Get final argument string
-            let args = combination.join(', ');
 
-            // If some constraint is of type fileWithContent or pathExists
-            // Generate all combinations of file system test cases.
-            if( pathExists || fileWithContent ) {
-                content += generateMockFsTestCases(true,  true,  funcName, args);
-                content += generateMockFsTestCases(false, true,  funcName, args);
-                content += generateMockFsTestCases(true,  false, funcName, args);
-                content += generateMockFsTestCases(false, false, funcName, args);
+/**
+ * Search calls reaching the throw statements of synchronous functions which none of the
+ * generated calls reaches: every argument combination of such a function is a candidate,
+ * until one throws the error of each site or `maxThrowAttempts` were run.
+ *
+ * @param   {Object}   subject             Loaded subject module.
+ * @param   {Object}   functionConstraints Constraints object as returned by `constraints`.
+ * @param   {Object[]} cases               Test cases, as returned by `generateCases`.
+ * @param   {Object[]} outcomes            Outcome of each case, as returned by `observeCase`, or null for asynchronous ones.
+ * @returns {Object}                       `{ cases, outcomes }`: the calls found, and their outcomes.
+ */
+function targetThrows(subject, functionConstraints, cases, outcomes) {
+
+    let found = { cases: [], outcomes: [] };
+    let reached = (funcName, site) => _.some(_.zip(cases.concat(found.cases), outcomes.concat(found.outcomes)), ([testCase, outcome]) =>
+        testCase.funcName === funcName && outcome && outcome.threw && !outcome.inSetup &&
+        throws.matchingSite([site], outcome.error) !== undefined);
+
+    for (let funcName in functionConstraints) {
+        let entry = functionConstraints[funcName];
+        let missed = entry.async ? [] : _.reject(entry.throws, site => reached(funcName, site));
+        if( _.isEmpty(missed) ) {
+            continue;
+        }
+
+        // Only the function's own combinations are generated, and no more than are tried.
+        let key = c => `${(c.setup || []).join(' ')} ${c.args}`;
+        let known = _.map(_.filter(cases, { funcName: funcName }), key);
+        let attempts = 0;
+        for (let candidate of functionCases(functionConstraints, funcName, { strategy: 'product' })) {
+            if( _.includes(known, key(candidate)) ) {
+                continue;
+            }
+            if( ++attempts > maxThrowAttempts ) {
+                break;
             }
-            // Otherwise, just generate the naive test of calling the function
-            // with default arguments and alternative arguments.
-            else {
-                content += `try { ${ "subject.{0}({1});".format(funcName, args) } } catch (e) {} \n`;
+            let outcome = observeCase(subject, candidate);
+            let hit = outcome.threw && !outcome.inSetup ? _.find(missed, site => throws.matchingSite([site], outcome.error)) : null;
+            if( hit ) {
+                found.cases.push(candidate);
+                found.outcomes.push(outcome);
+                missed = _.without(missed, hit);
             }
+            if( _.isEmpty(missed) ) {
+                break;
+            }
+        }
+    }
+
+    return found;
+}
 
+
+/**
+ * Find the throw statement accounting for an error a function's call threw: one of the
+ * function's own, or of a module function it calls, directly or not.
+ *
+ * @param   {Object} functionConstraints Constraints object as returned by `constraints`.
+ * @param   {String} funcName            Name of the function called.
+ * @param   {Object} error               Error, as recorded by `oracle.observe`.
+ * @returns {Object}                     Throw site, as returned by `throws.throwSites`, or null.
+ */
+function throwSite(functionConstraints, funcName, error) {
+    return throws.matchingSite(reachableSites(functionConstraints, funcName), error) || null;
+}
+
+
+/**
+ * The throw statements a function's call can end at: its own, then those of the module
+ * functions it calls, directly or not.
+ */
+function reachableSites(functionConstraints, funcName) {
+    let sites = [];
+    let visited = [];
+    let pending = [funcName];
+    while( pending.length ) {
+        let name = pending.shift();
+        let entry = functionConstraints[name];
+        if( _.includes(visited, name) || !entry ) {
+            continue;
         }
+        visited.push(name);
+        sites.push(...(entry.throws || []));
+        pending.push(...(entry.calls || []));
+    }
+    return sites;
+}
+
 
+/**
+ * Run a synchronous test case against the subject, see `oracle.observe`, on an empty mock
+ * file system unless it has a mock of its own, so that generating never touches the real one.
+ */
+function observeCase(subject, testCase) {
+    return oracle.observe(subject, testCase.accessor, testCase.args, testCase.mockSetup || '{}', testCase.setup);
+}
+
+
+/**
+ * Whether an empty mock file system hides the real one, as mock-fs does not on every
+ * Node version.
+ */
+function mockIsolates(filepath) {
+    mock({});
+    try {
+        return !fs.existsSync(filepath);
     }
+    finally {
+        mock.restore();
+    }
+}
 
-    // Write final content string to file test.js.
-    fs.writeFileSync('test.js', content, "utf8");
 
+/**
+ * Load the subject module, or null when it throws while loading.
+ */
+function loadSubject(filepath) {
+    try {
+        return require(filepath);
+    }
+    catch (e) {
+        return null;
+    }
 }
 
 
 /**
- * Generate test cases for constraints dealing with whether or not a file exists.
+ * Build the mock file system for a test case, with each path argument the
+ * function passes to the file system in the state its value was generated for.
  *
- * @param   {Boolean} pathExists      Whether or not to mock the path existing.
- * @param   {Boolean} fileWithContent Whether or not to mock the file existing with content.
- * @param   {String}  funcName        Name of the function under test.
- * @param   {String}  args            Function argument string.
- * @returns {string}                  Full text of the generated file system test.
+ * @param   {Object} entry Constraints of the function, as returned by `constraints`.
+ * @param   {String} args  Function argument string.
+ * @returns {String}       Source of the object passed to `mock(...)`, or null when the function uses no paths.
  */
-function generateMockFsTestCases (pathExists, fileWithContent, funcName, args) {
+function mockFsSetup(entry, args) {
 
-    // Partial test data
-    let testCase = "";
-    let mergedFS = {};
+    let fileSystem = _.filter(_.flatten(_.values(entry.constraints)), { kind: 'fileSystem' });
+    if( _.isEmpty(fileSystem) ) {
+        return null;
+    }
+
+    // Paths among the arguments, in the order they are passed.
+    let values = [];
+    try {
+        values = oracle.argumentValues(args);
+    }
+    catch (e) {
+        values = [];
+    }
 
-    // Add mock data for path if pathExists is true.
-    if( pathExists ) {
-        for (let attrname in mockFileLibrary.pathExists) {
-            mergedFS[attrname] = mockFileLibrary.pathExists[attrname];
+    // Add the mock entry of each path passed, missing paths staying out of the mock.
+    let entries = [];
+    for (let constraint of _.uniqBy(fileSystem, 'value')) {
+        if( constraint.mock && _.includes(values, oracle.argumentValues(constraint.value)[0]) ) {
+            entries.push(`${constraint.value}: ${constraint.mock}`);
         }
     }
 
-    // Add mock data for content if fileWithContent is true.
-    if( fileWithContent ) {
-        for (let attrname in mockFileLibrary.fileWithContent) {
-            mergedFS[attrname] = mockFileLibrary.fileWithContent[attrname];
+    return entries.length ? `{ ${entries.join(', ')} }` : '{}';
+}
+
+
+/**
+ * Generate a test case asserting an outcome recorded for a call.
+ *
+ * @param   {Object}   outcome   Outcome as returned by `oracle.observe`.
+ * @param   {String}   accessor  Expression reaching the function under test from `subject`.
+ * @param   {String}   args      Function argument string.
+ * @param   {String[]} [setup]   Statements to run before the call.
+ * @returns {String}             Statements of the generated test, empty when the setup itself throws.
+ */
+function generateOutcomeTestCase(outcome, accessor, args, setup = []) {
+
+    // There is nothing to assert on a call that was never made.
+    if( outcome.inSetup ) {
+        return '';
+    }
+
+    // Turn the outcome into an assertion.
+    return setup.concat(oracle.assertion(`${accessor}(${args})`, outcome)).join('\n');
+}
+
+
+/**
+ * Generate a test case for an asynchronous call. In snapshot mode the call is run to
+ * completion at generation time and the test checks the resolved value or the rejection;
+ * otherwise rejections are caught, and the test moves on when the call has not settled
+ * after `maxSettleTime`, as when a callback is never called.
+ *
+ * @param   {String}  filepath  Path of the module under test.
+ * @param   {Object}  testCase  Test case, as returned by `generateCases`.
+ * @param   {Object}  [options] Generation options, see `generateTestCases`.
+ * @returns {String}            Promise expression settling once the call is checked, empty in snapshot mode when
+ *                              the call never settles or its setup throws.
+ */
+function generateAsyncTestCase(filepath, testCase, options = {}) {
+
+    let { accessor, args, setup } = testCase;
+
+    // Check the recorded settlement.
+    let call = oracle.promiseCall(accessor, args, setup, testCase.async);
+    if( options.snapshot ) {
+        let outcome = oracle.settle(filepath, testCase);
+        if( outcome.unsettled || outcome.inSetup ) {
+            return '';
         }
+        return `${call}\n\t.then(${oracle.settlement(outcome)})`;
     }
 
-    // Generate and return test case string.
-    testCase += 'try{\n';
-    testCase += `\tmock(${JSON.stringify(mergedFS).replace(/"/g, '')});\n`;
-    testCase += `\t\tsubject.${funcName}(${args});\n`;
-    testCase += "\tmock.restore();\n";
-    testCase += '} catch(e) {}\n';
-    return testCase;
+    // Or let the call settle either way, waiting no longer than `maxSettleTime`.
+    return `new Promise(done => { let timer = setTimeout(done, ${maxSettleTime}); ${call}\n\t.catch(e => {}).then(() => { clearTimeout(timer); done(); }); })`;
 }
 
 
 // Export
-module.exports = generateTestCases;
\ No newline at end of file
+module.exports = generateTestCases;
+module.exports.generateCases = generateCases;
\ No newline at end of file
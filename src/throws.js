@@ -0,0 +1,108 @@
+// Core/NPM Modules
+const _       = require('lodash');
+
+
+// Local Modules
+const dataflow = require('./dataflow');
+
+
+
+// Error classes the engine throws on its own, as when reading a property of `undefined`.
+const runtimeErrors = ['TypeError', 'ReferenceError', 'RangeError', 'SyntaxError'];
+
+
+/**
+ * Find the throw statements which end a function, the error each throws, and the
+ * conditions guarding it: those of the paths through the function ending there.
+ *
+ * The error is read from `throw new ValidationError('...')`, `throw Error('...')` or
+ * `throw new errors.NotFound(...)`, with the message a string literal, a template
+ * literal, or literals concatenated with other values, which match any text. Throws
+ * caught by a surrounding `try` and those in nested functions are left out.
+ *
+ * @param   {Object}   funcNode Esprima function node.
+ * @param   {Object[]} paths    Paths through the function, as returned by `functionPaths`.
+ * @param   {String}   buf      Source code the node was parsed from.
+ * @returns {Object[]}          Throw sites: `{ line, source, name, message, guards }`, with `name` the error class,
+ *                              or null when unknown, `message` a regular expression the message matches, or null
+ *                              when unknown, and `guards` the conditions of each path reaching the throw.
+ */
+function throwSites(funcNode, paths, buf) {
+
+    let sites = [];
+    dataflow.walk(funcNode.body, node => {
+        if( node.type !== 'ThrowStatement' ) {
+            return;
+        }
+        let created = _.includes(['NewExpression', 'CallExpression'], node.argument.type) ? node.argument : null;
+        let callee = created ? created.callee : null;
+        let name = !callee ? null
+                 : callee.type === 'Identifier' ? callee.name
+                 : callee.type === 'MemberExpression' && !callee.computed ? callee.property.name : null;
+        let message = created && created.arguments.length ? messagePattern(created.arguments[0]) : null;
+        let line = node.loc.start.line;
+
+        sites.push({
+            line:    line,
+            source:  buf.substring(node.range[0], node.range[1]),
+            name:    name,
+            message: message,
+            guards:  _.map(_.filter(paths, { throws: line }), path => _.map(path.conditions, c => _.pick(c, 'expression', 'outcome')))
+        });
+    }, { functions: false, caught: false });
+    return sites;
+}
+
+
+/**
+ * Find the throw site an error thrown by a call comes from: one with the same class,
+ * or an unknown one, and a message pattern the message matches. Sites of unknown
+ * class, as for `throw error`, are only taken for errors the engine does not throw
+ * itself, so crashes on bad input are not mistaken for them.
+ *
+ * @param   {Object[]} sites Throw sites, as returned by `throwSites`.
+ * @param   {Object}   error Error, as recorded by `oracle.observe`: `{ name, message }`.
+ * @returns {Object}         Matching throw site, or undefined.
+ */
+function matchingSite(sites, error) {
+    return _.find(sites, site =>
+        (site.name === null ? !_.includes(runtimeErrors, error.name) : site.name === error.name) &&
+        (site.message === null || (error.message !== null && site.message.test(error.message))));
+}
+
+
+/**
+ * The regular expression matching the messages an error message expression gives:
+ * its literal parts in order, with anything in between.
+ */
+function messagePattern(node) {
+    let parts = literalParts(node);
+    if( !parts || !_.some(parts, _.isString) ) {
+        return null;
+    }
+    return new RegExp('^' + _.map(parts, part => _.isString(part) ? _.escapeRegExp(part) : '[\\s\\S]*').join('') + '$');
+}
+
+
+/**
+ * Split a string expression into its literal parts, and null for each value computed at run time.
+ */
+function literalParts(node) {
+    if( node.type === 'Literal' ) {
+        return typeof node.value === 'string' ? [node.value] : null;
+    }
+    if( node.type === 'TemplateLiteral' ) {
+        return _.flatMap(node.quasis, (quasi, i) => i < node.expressions.length ? [quasi.value.cooked, null] : [quasi.value.cooked]);
+    }
+    if( node.type === 'BinaryExpression' && node.operator === '+' ) {
+        let left = literalParts(node.left) || [null];
+        let right = literalParts(node.right) || [null];
+        return left.concat(right);
+    }
+    return [null];
+}
+
+
+// Export
+module.exports.throwSites   = throwSites;
+module.exports.matchingSite = matchingSite;
@@ -1,171 +1,158 @@
-let subject = require('G:\\CSC 519 - DevOps\\HW2 - Testgeneration\\CSC-519-HW2\\subject.js')
+// Generated with --seed 1512560595
+let subject = require("./subject.js")
 let mock = require('mock-fs');
-try { subject.inc(-1, undefined); } catch (e) {} 
-try { subject.inc(-1, NaN); } catch (e) {} 
-try { subject.inc(1, undefined); } catch (e) {} 
-try { subject.inc(1, NaN); } catch (e) {} 
-try { subject.weird(6, -1, 41, "strict"); } catch (e) {} 
-try { subject.weird(6, -1, 41, 'NEQ - strict'); } catch (e) {} 
-try { subject.weird(6, -1, 41, 'aaawerw'); } catch (e) {} 
-try { subject.weird(6, -1, 41, "strict"); } catch (e) {} 
-try { subject.weird(6, -1, 41, 'NEQ - strict'); } catch (e) {} 
-try { subject.weird(6, -1, 43, "strict"); } catch (e) {} 
-try { subject.weird(6, -1, 43, 'NEQ - strict'); } catch (e) {} 
-try { subject.weird(6, -1, 43, 'aaawerw'); } catch (e) {} 
-try { subject.weird(6, -1, 43, "strict"); } catch (e) {} 
-try { subject.weird(6, -1, 43, 'NEQ - strict'); } catch (e) {} 
-try { subject.weird(6, 1, 41, "strict"); } catch (e) {} 
-try { subject.weird(6, 1, 41, 'NEQ - strict'); } catch (e) {} 
-try { subject.weird(6, 1, 41, 'aaawerw'); } catch (e) {} 
-try { subject.weird(6, 1, 41, "strict"); } catch (e) {} 
-try { subject.weird(6, 1, 41, 'NEQ - strict'); } catch (e) {} 
-try { subject.weird(6, 1, 43, "strict"); } catch (e) {} 
-try { subject.weird(6, 1, 43, 'NEQ - strict'); } catch (e) {} 
-try { subject.weird(6, 1, 43, 'aaawerw'); } catch (e) {} 
-try { subject.weird(6, 1, 43, "strict"); } catch (e) {} 
-try { subject.weird(6, 1, 43, 'NEQ - strict'); } catch (e) {} 
-try { subject.weird(8, -1, 41, "strict"); } catch (e) {} 
-try { subject.weird(8, -1, 41, 'NEQ - strict'); } catch (e) {} 
-try { subject.weird(8, -1, 41, 'aaawerw'); } catch (e) {} 
-try { subject.weird(8, -1, 41, "strict"); } catch (e) {} 
-try { subject.weird(8, -1, 41, 'NEQ - strict'); } catch (e) {} 
-try { subject.weird(8, -1, 43, "strict"); } catch (e) {} 
-try { subject.weird(8, -1, 43, 'NEQ - strict'); } catch (e) {} 
-try { subject.weird(8, -1, 43, 'aaawerw'); } catch (e) {} 
-try { subject.weird(8, -1, 43, "strict"); } catch (e) {} 
-try { subject.weird(8, -1, 43, 'NEQ - strict'); } catch (e) {} 
-try { subject.weird(8, 1, 41, "strict"); } catch (e) {} 
-try { subject.weird(8, 1, 41, 'NEQ - strict'); } catch (e) {} 
-try { subject.weird(8, 1, 41, 'aaawerw'); } catch (e) {} 
-try { subject.weird(8, 1, 41, "strict"); } catch (e) {} 
-try { subject.weird(8, 1, 41, 'NEQ - strict'); } catch (e) {} 
-try { subject.weird(8, 1, 43, "strict"); } catch (e) {} 
-try { subject.weird(8, 1, 43, 'NEQ - strict'); } catch (e) {} 
-try { subject.weird(8, 1, 43, 'aaawerw'); } catch (e) {} 
-try { subject.weird(8, 1, 43, "strict"); } catch (e) {} 
-try { subject.weird(8, 1, 43, 'NEQ - strict'); } catch (e) {} 
-try{
-	mock({emptyDir:mock.directory(),nonEmptyDir:mock.directory({ items: { file: mock.file() } }),file:mock.file(),pathContent:{file1:new Buffer('abc'),someDir:mock.directory()}});
-		subject.fileTest('emptyDir', 'pathContent/file1');
-	mock.restore();
-} catch(e) {}
-try{
-	mock({pathContent:{file1:new Buffer('abc'),someDir:mock.directory()}});
-		subject.fileTest('emptyDir', 'pathContent/file1');
-	mock.restore();
-} catch(e) {}
-try{
-	mock({emptyDir:mock.directory(),nonEmptyDir:mock.directory({ items: { file: mock.file() } }),file:mock.file()});
-		subject.fileTest('emptyDir', 'pathContent/file1');
-	mock.restore();
-} catch(e) {}
-try{
-	mock({});
-		subject.fileTest('emptyDir', 'pathContent/file1');
-	mock.restore();
-} catch(e) {}
-try{
-	mock({emptyDir:mock.directory(),nonEmptyDir:mock.directory({ items: { file: mock.file() } }),file:mock.file(),pathContent:{file1:new Buffer('abc'),someDir:mock.directory()}});
-		subject.fileTest('emptyDir', 'pathContent/someDir');
-	mock.restore();
-} catch(e) {}
-try{
-	mock({pathContent:{file1:new Buffer('abc'),someDir:mock.directory()}});
-		subject.fileTest('emptyDir', 'pathContent/someDir');
-	mock.restore();
-} catch(e) {}
-try{
-	mock({emptyDir:mock.directory(),nonEmptyDir:mock.directory({ items: { file: mock.file() } }),file:mock.file()});
-		subject.fileTest('emptyDir', 'pathContent/someDir');
-	mock.restore();
-} catch(e) {}
-try{
-	mock({});
-		subject.fileTest('emptyDir', 'pathContent/someDir');
-	mock.restore();
-} catch(e) {}
-try{
-	mock({emptyDir:mock.directory(),nonEmptyDir:mock.directory({ items: { file: mock.file() } }),file:mock.file(),pathContent:{file1:new Buffer('abc'),someDir:mock.directory()}});
-		subject.fileTest('emptyDir', 'file');
-	mock.restore();
-} catch(e) {}
-try{
-	mock({pathContent:{file1:new Buffer('abc'),someDir:mock.directory()}});
-		subject.fileTest('emptyDir', 'file');
-	mock.restore();
-} catch(e) {}
-try{
-	mock({emptyDir:mock.directory(),nonEmptyDir:mock.directory({ items: { file: mock.file() } }),file:mock.file()});
-		subject.fileTest('emptyDir', 'file');
-	mock.restore();
-} catch(e) {}
-try{
-	mock({});
-		subject.fileTest('emptyDir', 'file');
-	mock.restore();
-} catch(e) {}
-try{
-	mock({emptyDir:mock.directory(),nonEmptyDir:mock.directory({ items: { file: mock.file() } }),file:mock.file(),pathContent:{file1:new Buffer('abc'),someDir:mock.directory()}});
-		subject.fileTest('nonEmptyDir', 'pathContent/file1');
-	mock.restore();
-} catch(e) {}
-try{
-	mock({pathContent:{file1:new Buffer('abc'),someDir:mock.directory()}});
-		subject.fileTest('nonEmptyDir', 'pathContent/file1');
-	mock.restore();
-} catch(e) {}
-try{
-	mock({emptyDir:mock.directory(),nonEmptyDir:mock.directory({ items: { file: mock.file() } }),file:mock.file()});
-		subject.fileTest('nonEmptyDir', 'pathContent/file1');
-	mock.restore();
-} catch(e) {}
-try{
-	mock({});
-		subject.fileTest('nonEmptyDir', 'pathContent/file1');
-	mock.restore();
-} catch(e) {}
-try{
-	mock({emptyDir:mock.directory(),nonEmptyDir:mock.directory({ items: { file: mock.file() } }),file:mock.file(),pathContent:{file1:new Buffer('abc'),someDir:mock.directory()}});
-		subject.fileTest('nonEmptyDir', 'pathContent/someDir');
-	mock.restore();
-} catch(e) {}
-try{
-	mock({pathContent:{file1:new Buffer('abc'),someDir:mock.directory()}});
-		subject.fileTest('nonEmptyDir', 'pathContent/someDir');
-	mock.restore();
-} catch(e) {}
-try{
-	mock({emptyDir:mock.directory(),nonEmptyDir:mock.directory({ items: { file: mock.file() } }),file:mock.file()});
-		subject.fileTest('nonEmptyDir', 'pathContent/someDir');
-	mock.restore();
-} catch(e) {}
-try{
-	mock({});
-		subject.fileTest('nonEmptyDir', 'pathContent/someDir');
-	mock.restore();
-} catch(e) {}
-try{
-	mock({emptyDir:mock.directory(),nonEmptyDir:mock.directory({ items: { file: mock.file() } }),file:mock.file(),pathContent:{file1:new Buffer('abc'),someDir:mock.directory()}});
-		subject.fileTest('nonEmptyDir', 'file');
-	mock.restore();
-} catch(e) {}
-try{
-	mock({pathContent:{file1:new Buffer('abc'),someDir:mock.directory()}});
-		subject.fileTest('nonEmptyDir', 'file');
-	mock.restore();
-} catch(e) {}
-try{
-	mock({emptyDir:mock.directory(),nonEmptyDir:mock.directory({ items: { file: mock.file() } }),file:mock.file()});
-		subject.fileTest('nonEmptyDir', 'file');
-	mock.restore();
-} catch(e) {}
-try{
-	mock({});
-		subject.fileTest('nonEmptyDir', 'file');
-	mock.restore();
-} catch(e) {}
-try { subject.normalize(''); } catch (e) {} 
-try { subject.format('', '', options = {'normalize': true}); } catch (e) {} 
-try { subject.format('', '', false); } catch (e) {} 
-try { subject.blackListNumber('NEQ - "212"'); } catch (e) {} 
-try { subject.blackListNumber("2122634892"); } catch (e) {} 
+try { subject.inc(-1, undefined); } catch (e) {}
+try { subject.inc(0, undefined); } catch (e) {}
+try { subject.inc(-1, NaN); } catch (e) {}
+try { subject.inc(0, NaN); } catch (e) {}
+try { subject.weird(8, -1, 41, "strict"); } catch (e) {}
+try { subject.weird(7, -1, 41, "strict"); } catch (e) {}
+try { subject.weird(7, -1, 41, "aaawerw"); } catch (e) {}
+try { subject.weird(7, -1, 41, "strict!"); } catch (e) {}
+try { subject.weird(7, -1, 42, "strict!"); } catch (e) {}
+try { subject.weird(7, -1, 42, "strict"); } catch (e) {}
+try { subject.weird(8, 0, 41, "strict"); } catch (e) {}
+try { subject.weird(8, 0, 41, "aaawerw"); } catch (e) {}
+try { subject.weird(8, 0, 41, "strict!"); } catch (e) {}
+try { subject.weird(8, 0, 42, "strict!"); } catch (e) {}
+try { subject.weird(8, 0, 42, "strict"); } catch (e) {}
+mock({});
+try {
+	try { subject.fileTest('dir-missing', 'filePath-missing'); } catch (e) {}
+} finally {
+	mock.restore();
+}
+mock({ 'filePath-emptyFile': mock.file({ content: '' }) });
+try {
+	try { subject.fileTest('dir-missing', 'filePath-emptyFile'); } catch (e) {}
+} finally {
+	mock.restore();
+}
+mock({ 'filePath-emptyDir': mock.directory() });
+try {
+	try { subject.fileTest('dir-missing', 'filePath-emptyDir'); } catch (e) {}
+} finally {
+	mock.restore();
+}
+mock({ 'filePath-fileWithContent': mock.file({ content: 'content' }) });
+try {
+	try { subject.fileTest('dir-missing', 'filePath-fileWithContent'); } catch (e) {}
+} finally {
+	mock.restore();
+}
+mock({ 'filePath-size1': mock.file({ content: 'a' }) });
+try {
+	try { subject.fileTest('dir-missing', 'filePath-size1'); } catch (e) {}
+} finally {
+	mock.restore();
+}
+// Probable bug: Error: ENOTDIR: not a directory, scandir 'dir-emptyFile'
+mock({ 'dir-emptyFile': mock.file({ content: '' }) });
+try {
+	try { subject.fileTest('dir-emptyFile', 'filePath-missing'); } catch (e) {}
+} finally {
+	mock.restore();
+}
+// Probable bug: Error: ENOTDIR: not a directory, scandir 'dir-emptyFile'
+mock({ 'dir-emptyFile': mock.file({ content: '' }), 'filePath-emptyFile': mock.file({ content: '' }) });
+try {
+	try { subject.fileTest('dir-emptyFile', 'filePath-emptyFile'); } catch (e) {}
+} finally {
+	mock.restore();
+}
+// Probable bug: Error: ENOTDIR: not a directory, scandir 'dir-emptyFile'
+mock({ 'dir-emptyFile': mock.file({ content: '' }), 'filePath-emptyDir': mock.directory() });
+try {
+	try { subject.fileTest('dir-emptyFile', 'filePath-emptyDir'); } catch (e) {}
+} finally {
+	mock.restore();
+}
+// Probable bug: Error: ENOTDIR: not a directory, scandir 'dir-emptyFile'
+mock({ 'dir-emptyFile': mock.file({ content: '' }), 'filePath-fileWithContent': mock.file({ content: 'content' }) });
+try {
+	try { subject.fileTest('dir-emptyFile', 'filePath-fileWithContent'); } catch (e) {}
+} finally {
+	mock.restore();
+}
+// Probable bug: Error: ENOTDIR: not a directory, scandir 'dir-emptyFile'
+mock({ 'dir-emptyFile': mock.file({ content: '' }), 'filePath-size1': mock.file({ content: 'a' }) });
+try {
+	try { subject.fileTest('dir-emptyFile', 'filePath-size1'); } catch (e) {}
+} finally {
+	mock.restore();
+}
+mock({ 'dir-emptyDir': mock.directory() });
+try {
+	try { subject.fileTest('dir-emptyDir', 'filePath-missing'); } catch (e) {}
+} finally {
+	mock.restore();
+}
+mock({ 'dir-emptyDir': mock.directory(), 'filePath-emptyFile': mock.file({ content: '' }) });
+try {
+	try { subject.fileTest('dir-emptyDir', 'filePath-emptyFile'); } catch (e) {}
+} finally {
+	mock.restore();
+}
+mock({ 'dir-emptyDir': mock.directory(), 'filePath-emptyDir': mock.directory() });
+try {
+	try { subject.fileTest('dir-emptyDir', 'filePath-emptyDir'); } catch (e) {}
+} finally {
+	mock.restore();
+}
+mock({ 'dir-emptyDir': mock.directory(), 'filePath-fileWithContent': mock.file({ content: 'content' }) });
+try {
+	try { subject.fileTest('dir-emptyDir', 'filePath-fileWithContent'); } catch (e) {}
+} finally {
+	mock.restore();
+}
+mock({ 'dir-emptyDir': mock.directory(), 'filePath-size1': mock.file({ content: 'a' }) });
+try {
+	try { subject.fileTest('dir-emptyDir', 'filePath-size1'); } catch (e) {}
+} finally {
+	mock.restore();
+}
+mock({ 'dir-nonEmptyDir': mock.directory({ items: { file0: mock.file({ content: 'content' }) } }) });
+try {
+	try { subject.fileTest('dir-nonEmptyDir', 'filePath-missing'); } catch (e) {}
+} finally {
+	mock.restore();
+}
+mock({ 'dir-nonEmptyDir': mock.directory({ items: { file0: mock.file({ content: 'content' }) } }), 'filePath-emptyFile': mock.file({ content: '' }) });
+try {
+	try { subject.fileTest('dir-nonEmptyDir', 'filePath-emptyFile'); } catch (e) {}
+} finally {
+	mock.restore();
+}
+// Probable bug: Error: EISDIR: illegal operation on a directory, read
+mock({ 'dir-nonEmptyDir': mock.directory({ items: { file0: mock.file({ content: 'content' }) } }), 'filePath-emptyDir': mock.directory() });
+try {
+	try { subject.fileTest('dir-nonEmptyDir', 'filePath-emptyDir'); } catch (e) {}
+} finally {
+	mock.restore();
+}
+mock({ 'dir-nonEmptyDir': mock.directory({ items: { file0: mock.file({ content: 'content' }) } }), 'filePath-fileWithContent': mock.file({ content: 'content' }) });
+try {
+	try { subject.fileTest('dir-nonEmptyDir', 'filePath-fileWithContent'); } catch (e) {}
+} finally {
+	mock.restore();
+}
+mock({ 'dir-nonEmptyDir': mock.directory({ items: { file0: mock.file({ content: 'content' }) } }), 'filePath-size1': mock.file({ content: 'a' }) });
+try {
+	try { subject.fileTest('dir-nonEmptyDir', 'filePath-size1'); } catch (e) {}
+} finally {
+	mock.restore();
+}
+try { subject.normalize("-511).2773696"); } catch (e) {}
+try { subject.format("-511).2773696", '', undefined); } catch (e) {}
+try { subject.format("-511).277369", '', undefined); } catch (e) {}
+try { subject.format("-511).2773696", '', {}); } catch (e) {}
+try { subject.format("-511).2773696", '', {"normalize": false}); } catch (e) {}
+try { subject.format("-511).277369", '', {}); } catch (e) {}
+try { subject.format("-511).277369", '', {"normalize": false}); } catch (e) {}
+try { subject.format("-511).2773696", '', {"normalize": true}); } catch (e) {}
+try { subject.blackListNumber("02120"); } catch (e) {}
+try { subject.blackListNumber("21200"); } catch (e) {}
+try { subject.blackListNumber("0a120"); } catch (e) {}
+try { subject.blackListNumber("a1200"); } catch (e) {}
+try { subject.blackListNumber("-511).2773696"); } catch (e) {}
+try { subject.blackListNumber("-511).277369"); } catch (e) {}
@@ -0,0 +1,48 @@
+var chai    = require("chai");
+var assert = chai.assert;
+var accessors = require("../src/accessors.js");
+var constraints = require("../src/constraint.js");
+
+describe("Export accessors", function() {
+  function reached(source) {
+    var found = {};
+    accessors(constraints.parse(source)).forEach(function(f) { found[f.name] = f.accessor; });
+    return found;
+  }
+
+  it("reaches function expressions, arrows and object methods", function() {
+    assert.deepEqual(reached(
+      "module.exports.add = function (a, b) { return a + b; };\n" +
+      "const twice = n => n * 2;\n" +
+      "exports.twice = twice;\n" +
+      "const obj = { method(x) { return x; }, nested: { deep: function (y) { return y; } } };\n" +
+      "obj.later = s => s;\n" +
+      "module.exports.obj = obj;\n"
+    ), {
+      "add": "subject.add",
+      "twice": "subject.twice",
+      "obj.method": "subject.obj.method",
+      "obj.nested.deep": "subject.obj.nested.deep",
+      "obj.later": "subject.obj.later"
+    });
+  });
+
+  it("reaches static and instance methods of classes and prototypes", function() {
+    assert.deepEqual(reached(
+      "class Klass { constructor() {} bump(step) { return step; } static make(kind) { return kind; } }\n" +
+      "function Legacy() {}\n" +
+      "Legacy.prototype.run = function (flag) { return flag; };\n" +
+      "module.exports = { Klass: Klass, Legacy };\n"
+    ), {
+      "Klass": "new subject.Klass",
+      "Klass.prototype.bump": "new subject.Klass().bump",
+      "Klass.make": "subject.Klass.make",
+      "Legacy": "new subject.Legacy",
+      "Legacy.prototype.run": "new subject.Legacy().run"
+    });
+  });
+
+  it("names a function exported as the whole module", function() {
+    assert.deepEqual(reached("module.exports = (a) => a;"), { "module.exports": "subject" });
+  });
+});
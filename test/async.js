@@ -0,0 +1,62 @@
+var chai    = require("chai");
+var assert = chai.assert;
+var childProcess = require("child_process");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var constraints = require("../src/constraint.js");
+var oracle = require("../src/oracle.js");
+var generateTestCases = require("../src/testgenerator.js");
+var generateCases = generateTestCases.generateCases;
+
+describe("Asynchronous functions", function() {
+  var filePath = path.join(__dirname, "fixtures", "async.js");
+  var functionConstraints = constraints(filePath);
+  var cases = generateCases(functionConstraints);
+
+  function casesOf(funcName) {
+    return cases.filter(function(c) { return c.funcName === funcName; });
+  }
+
+  it("detects async functions, returned Promises and callback parameters", function() {
+    assert.equal(functionConstraints.check.async, "promise");
+    assert.equal(functionConstraints.later.async, "promise");
+    assert.equal(functionConstraints.lookup.async, "callback");
+    assert.equal(functionConstraints.lookup.callback, "callback");
+    assert.isNull(functionConstraints.plain.async);
+    assert.equal(functionConstraints.fetch.callback, "respond");
+    assert.isNull(functionConstraints.scale.async);
+  });
+
+  it("passes the test's callback to callback parameters", function() {
+    casesOf("lookup").forEach(function(c) {
+      assert.match(c.args, /, callback$/);
+    });
+  });
+
+  it("records resolved values and rejections", function() {
+    this.timeout(10000);
+    var rejected = oracle.settle(filePath, casesOf("check").filter(function(c) { return c.args === "4"; })[0]);
+    assert.deepEqual(rejected, { threw: true, error: { name: "RangeError", message: "too high" } });
+
+    var resolved = oracle.settle(filePath, { accessor: "subject.lookup", args: "'known', callback", mockSetup: null, async: "callback" });
+    assert.include(resolved, { threw: false, value: 42 });
+    assert.equal(oracle.settlement(resolved), "value => assert.deepEqual(value, 42)");
+  });
+
+  it("moves on from calls whose callback is never called", function() {
+    this.timeout(10000);
+    var out = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "tests-")), "test.js");
+    var source = generateTestCases(filePath, { fetch: functionConstraints.fetch, later: functionConstraints.later }, { out: out }).source;
+    assert.include(source, "subject.fetch(3, callback)");
+
+    // The plain script's queue reaches the calls after it.
+    fs.writeFileSync(out, source + "queue.then(() => console.log('finished'));\n");
+    var run = childProcess.spawnSync(process.execPath, [out], {
+      encoding: "utf8",
+      env: Object.assign({}, process.env, { NODE_PATH: path.join(__dirname, "..", "node_modules") })
+    });
+    assert.equal(run.status, 0);
+    assert.include(run.stdout, "finished");
+  });
+});
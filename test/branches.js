@@ -0,0 +1,30 @@
+var chai    = require("chai");
+var assert = chai.assert;
+var path = require("path");
+var constraints = require("../src/constraint.js");
+var helpers = require("./helpers.js");
+
+describe("Switches, logical expressions and loops", function() {
+  var filePath = path.join(__dirname, "fixtures", "branches.js");
+  var functionConstraints = constraints(filePath);
+
+  var valuesOf = helpers.valuesOf.bind(null, functionConstraints);
+
+  it("generates each case of a switch and a value hitting none", function() {
+    assert.sameMembers(valuesOf("pick", "mode"), ["\"fast\"", "\"slow\"", "\"other\""]);
+    assert.includeMembers(valuesOf("level", "code"), ["\"a\"", "\" a \"", "\"other\""]);
+  });
+
+  it("generates truthy and falsy operands", function() {
+    assert.sameMembers(valuesOf("pick", "flag"), ["true", "false"]);
+    assert.sameMembers(valuesOf("pick", "label"), ["'a'", "''", "undefined"]);
+  });
+
+  it("runs loops zero times, once and several times", function() {
+    assert.includeMembers(valuesOf("countdown", "n"), ["0", "1", "3"]);
+    assert.includeMembers(valuesOf("total", "list"), ["[]", "[1]", "[1, 2, 3]"]);
+
+    var outcomes = helpers.outcomesOf(filePath, functionConstraints, "total", { strategy: "product" });
+    assert.includeMembers(outcomes, [0, 1, 6]);
+  });
+});
@@ -0,0 +1,45 @@
+var chai    = require("chai");
+var assert = chai.assert;
+var path = require("path");
+var constraints = require("../src/constraint.js");
+var generateTestCases = require("../src/testgenerator.js");
+var helpers = require("./helpers.js");
+
+describe("Call graph", function() {
+  var filePath = path.join(__dirname, "fixtures", "calls.js");
+  var functionConstraints = constraints(filePath);
+
+  it("records the module's functions each function calls", function() {
+    assert.deepEqual(functionConstraints.route.calls, ["lookup"]);
+    assert.deepEqual(functionConstraints.lookup.calls, ["check"]);
+    assert.deepEqual(functionConstraints.check.calls, []);
+  });
+
+  it("hands the values callees need on to their callers", function() {
+    var lookup = functionConstraints.lookup.constraints.input.map(function(c) { return c.value; });
+    assert.includeMembers(lookup, ["\"none\"", "\" none \""]);
+    assert.notInclude(functionConstraints.route.constraints.fallback.map(function(c) { return c.value; }), "\"none\"");
+
+    var outcomes = helpers.outcomesOf(filePath, functionConstraints, "route");
+    assert.includeMembers(outcomes, ["code", "none", "other"]);
+  });
+
+  it("keeps the functions the module does not export for their callers, without calling them", function() {
+    assert.isNull(functionConstraints.check.accessor);
+    assert.isNull(functionConstraints.lookup.accessor);
+    assert.deepEqual(helpers.casesOf(functionConstraints).map(function(c) { return c.funcName; }).filter(function(name, i, names) {
+      return names.indexOf(name) === i;
+    }), ["route"]);
+
+    var report = generateTestCases(filePath, functionConstraints, { snapshot: true });
+    assert.notInclude(report.source, "subject.check");
+    assert.notInclude(report.source, "subject.lookup");
+    assert.deepEqual(report.bugs, []);
+  });
+
+  it("calls a caller without branches of its own with every value its callees need", function() {
+    var wrapper = path.join(__dirname, "fixtures", "wrapper.js");
+    var outcomes = helpers.outcomesOf(wrapper, constraints(wrapper));
+    assert.sameMembers(outcomes, ["small1", "large1"]);
+  });
+});
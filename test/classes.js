@@ -0,0 +1,32 @@
+var chai    = require("chai");
+var assert = chai.assert;
+var path = require("path");
+var constraints = require("../src/constraint.js");
+var generateCases = require("../src/testgenerator.js").generateCases;
+
+describe("Class-aware generation", function() {
+  var filePath = path.join(__dirname, "fixtures", "counter.js");
+  var functionConstraints = constraints(filePath);
+  var cases = generateCases(functionConstraints);
+
+  function setups(funcName) {
+    return cases.filter(function(c) { return c.funcName === funcName; })
+                .map(function(c) { return (c.setup || []).join(" "); });
+  }
+
+  it("constructs instances with the constructor's arguments", function() {
+    assert.deepEqual(functionConstraints.Counter.accessor, "new subject.Counter");
+    assert.include(setups("Counter.prototype.report"), "let instance = new subject.Counter(0, '');");
+  });
+
+  it("collects constraints on the fields a method reads", function() {
+    var fields = functionConstraints["Counter.prototype.report"].fields;
+    assert.includeMembers(fields.count.map(function(c) { return c.value; }), [10, 11]);
+    assert.include(setups("Counter.prototype.report"), "let instance = new subject.Counter(0, ''); instance.state = 'busy';");
+  });
+
+  it("calls the methods writing those fields first", function() {
+    assert.include(setups("Counter.prototype.report"), "let instance = new subject.Counter(0, ''); instance.add('');");
+    assert.deepEqual(setups("Counter.prototype.add").filter(function(s) { return s.indexOf("report") !== -1; }), []);
+  });
+});
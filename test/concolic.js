@@ -0,0 +1,53 @@
+var chai    = require("chai");
+var assert = chai.assert;
+var fs = require("fs");
+var path = require("path");
+var constraints = require("../src/constraint.js");
+var concolic = require("../src/concolic.js");
+
+describe("Concolic exploration", function() {
+  var filePath = path.join(__dirname, "..", "subject.js");
+  var functionConstraints = constraints(filePath);
+
+  it("reaches conditions on values computed inside the function", function() {
+    var seeds = [{ funcName: "blackListNumber", args: "\"5551234567\"", mockSetup: null }];
+    var cases = concolic(filePath, { blackListNumber: functionConstraints.blackListNumber }, seeds).cases;
+    assert.deepEqual(cases.map(function(c) { return c.args; }), ["\"5551234567\"", "\"2121234567\""]);
+  });
+
+  it("flips comparisons on the arguments", function() {
+    var seeds = [{ funcName: "inc", args: "1, 1", mockSetup: null }];
+    var cases = concolic(filePath, { inc: functionConstraints.inc }, seeds).cases;
+    assert.includeMembers(cases.map(function(c) { return c.args; }), ["1, 1", "1, undefined", "-1, 1"]);
+  });
+
+  it("is bounded by its runs alone with a seed, and reports the time budget when hit", function() {
+    var seeds = [{ funcName: "inc", args: "1, 1", mockSetup: null }];
+    var explore = function(options) { return concolic(filePath, { inc: functionConstraints.inc }, seeds, options); };
+    var bounded = explore({ seed: 1 });
+    assert.deepEqual(bounded, explore({ seed: 1 }));
+    assert.isFalse(bounded.timedOut);
+    assert.deepEqual(explore({ seed: 1, iterations: 1 }).cases.map(function(c) { return c.args; }), ["1, 1"]);
+
+    var stopped = explore({ seed: 1, time: 1 });
+    assert.isTrue(stopped.timedOut);
+  });
+});
+
+describe("Concolic exploration of strict modules", function() {
+  var filePath = path.join(__dirname, "fixtures", "strict.js");
+
+  it("binds the recorder after the directive prologue, on the same line", function() {
+    var source = concolic.instrument(fs.readFileSync(filePath, "utf8")).source;
+    assert.match(source, /^'use strict'; var __concolic = module.__concolic; \n\nfunction tally\(n\) \{\n/);
+  });
+
+  it("runs the module in strict mode", function() {
+    var seeds = [{ funcName: "tally", args: "1", mockSetup: null }];
+    var cases = concolic(filePath, constraints(filePath), seeds).cases;
+
+    // Assigning the undeclared `count` throws before any condition is reached.
+    assert.deepEqual(cases.map(function(c) { return c.args; }), ["1"]);
+    assert.notProperty(global, "count");
+  });
+});
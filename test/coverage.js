@@ -0,0 +1,33 @@
+var chai    = require("chai");
+var assert = chai.assert;
+var path = require("path");
+var constraints = require("../src/constraint.js");
+var coverage = require("../src/coverage.js");
+var generateCases = require("../src/testgenerator.js").generateCases;
+
+describe("Coverage-guided generation", function() {
+  var filePath = path.join(__dirname, "..", "subject.js");
+  var functionConstraints = constraints(filePath);
+  var pool = generateCases(functionConstraints, { strategy: "product" });
+
+  it("grows a single call per function to full branch coverage", function() {
+    var seeds = Object.keys(functionConstraints).map(function(funcName) {
+      return pool.filter(function(c) { return c.funcName === funcName; })[0];
+    });
+    var report = coverage(filePath, functionConstraints, seeds, pool);
+    assert.equal(report.covered, report.total);
+    assert.deepEqual(report.uncovered, []);
+    assert.isAbove(report.cases.length, seeds.length);
+  });
+
+  it("explains the branches it cannot cover", function() {
+    var seeds = [{ funcName: "inc", args: "1, 1", mockSetup: null }];
+    var report = coverage(filePath, { inc: functionConstraints.inc }, seeds, []);
+    assert.isBelow(report.covered, report.total);
+    report.uncovered.forEach(function(branch) {
+      assert.isString(branch.reason);
+      assert.isNumber(branch.line);
+    });
+    assert.include(report.uncovered.map(function(b) { return b.reason; }), "it is not inside a function the generator calls");
+  });
+});
@@ -0,0 +1,54 @@
+var chai    = require("chai");
+var assert = chai.assert;
+var path = require("path");
+var constraints = require("../src/constraint.js");
+var dataflow = require("../src/dataflow.js");
+var oracle = require("../src/oracle.js");
+
+describe("Data flow", function() {
+
+  function traceOf(source, name) {
+    var node = constraints.parse(source).body[0];
+    var params = node.params.map(function(p) { return p.name; });
+    var defs = dataflow.definitions(node, params);
+    var use = null;
+    constraints.traverse(node.body, function(child) {
+      if (child.type === "Identifier" && child.name === name) use = child;
+    });
+    return dataflow.trace(use, defs, params);
+  }
+
+  it("follows locals back through string operations to a parameter", function() {
+    var traced = traceOf("function f(s) { var t = s.trim(); t = t.substring(2, 5).toLowerCase(); return t == 'abc'; }", "t");
+    assert.equal(traced.ident, "s");
+    assert.deepEqual(traced.steps.map(function(s) { return s.method; }), ["trim", "substring", "toLowerCase"]);
+    assert.include(dataflow.preimages(traced.steps, "abc"), "00ABC0");
+  });
+
+  it("reaches blackListNumber's area code through format", function() {
+    var subject = require("../subject.js");
+    var values = constraints(path.join(__dirname, "..", "subject.js")).blackListNumber.constraints.phoneNumber.map(function(c) {
+      return oracle.observe(subject, "subject.blackListNumber", c.value, null).value;
+    });
+    assert.includeMembers(values, [true, false]);
+  });
+
+  it("skips comparisons it cannot trace", function() {
+    assert.isNull(traceOf("function f(n) { var m = n * 2; return m == 4; }", "m"));
+    assert.isNull(traceOf("function f(a, b) { var m = g(a, b); return m == 'x'; }", "m"));
+  });
+
+  it("walks nodes with their parents, leaving out nested functions and caught blocks when asked", function() {
+    var node = constraints.parse("function f(a) { try { g(); } catch (e) { h(); } k(function() { m(); }, () => n()); }").body[0];
+    var called = function(options) {
+      var names = [];
+      dataflow.walk(node.body, function(child, parent) {
+        if (child.type === "Identifier" && parent.type === "CallExpression") names.push(child.name);
+      }, options);
+      return names;
+    };
+    assert.deepEqual(called(), ["g", "h", "k", "m", "n"]);
+    assert.deepEqual(called({ functions: false, caught: false }), ["h", "k"]);
+    assert.deepEqual(called({ functions: "arrow" }), ["g", "h", "k", "n"]);
+  });
+});
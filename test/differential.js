@@ -0,0 +1,26 @@
+var chai    = require("chai");
+var assert = chai.assert;
+var path = require("path");
+var differentialTest = require("../src/differential.js");
+
+describe("Differential testing", function() {
+  var grades = path.join(__dirname, "fixtures", "grades.js");
+  var changed = path.join(__dirname, "fixtures", "grades-changed.js");
+
+  it("reports the calls on the branch the modules differ on", function() {
+    var report = differentialTest(grades, changed);
+    assert.equal(report.cases, 2);
+    assert.lengthOf(report.differences, 1);
+
+    var difference = report.differences[0];
+    assert.equal(difference.funcName, "grade");
+    assert.equal(difference.args, "50");
+    assert.deepEqual(difference.left, { threw: false, value: "fail" });
+    assert.deepEqual(difference.right, { threw: false, value: "retry" });
+    assert.equal(differentialTest.describeOutcome(difference.right), "returned \"retry\"");
+  });
+
+  it("reports nothing for identical modules", function() {
+    assert.deepEqual(differentialTest(grades, grades), { cases: 2, differences: [] });
+  });
+});
@@ -0,0 +1,44 @@
+var chai    = require("chai");
+var assert = chai.assert;
+var path = require("path");
+var constraints = require("../src/constraint.js");
+var oracle = require("../src/oracle.js");
+var helpers = require("./helpers.js");
+
+describe("Mock file systems", function() {
+  var filePath = path.join(__dirname, "fixtures", "files.js");
+  var functionConstraints = constraints(filePath);
+
+  it("generates each state of the paths passed to the file system", function() {
+    var values = function(funcName) {
+      return functionConstraints[funcName].constraints.filePath.map(function(c) { return c.value; });
+    };
+    assert.sameMembers(values("size"), ["'filePath-missing'", "'filePath-emptyFile'", "'filePath-emptyDir'", "'filePath-fileWithContent'"]);
+    assert.sameMembers(values("replace"), ["'filePath-missing'", "'filePath-emptyFile'", "'filePath-emptyDir'", "'filePath-fileWithContent'"]);
+    assert.sameMembers(values("load"), ["'filePath-missing'", "'filePath-emptyFile'", "'filePath-emptyDir'", "'filePath-fileWithContent'"]);
+  });
+
+  it("mocks each path in the state of its argument", function() {
+    var subject = require(filePath);
+    var cases = helpers.casesOf(functionConstraints, "size");
+    var sizes = cases.map(function(c) {
+      return [c.args, oracle.observe(subject, c.accessor, c.args, c.mockSetup).value];
+    });
+    assert.sameDeepMembers(sizes, [
+      ["'filePath-missing'", -1],
+      ["'filePath-emptyFile'", 0],
+      ["'filePath-emptyDir'", 0],
+      ["'filePath-fileWithContent'", 7]
+    ]);
+    cases.forEach(function(c) {
+      assert.equal(c.mockSetup === "{}", c.args === "'filePath-missing'");
+    });
+  });
+
+  it("leaves the file system alone for functions not using it", function() {
+    var cases = helpers.casesOf(constraints(path.join(__dirname, "fixtures", "counter.js")));
+    cases.forEach(function(c) {
+      assert.isNull(c.mockSetup);
+    });
+  });
+});
@@ -0,0 +1,20 @@
+async function check(level) {
+    if (level > 3) { throw new RangeError('too high'); }
+    return level * 2;
+}
+function later(n) {
+    return new Promise(resolve => setTimeout(() => resolve(n > 3), 5));
+}
+function lookup(key, callback) {
+    setTimeout(() => key === 'known' ? callback(null, 42) : callback(new Error('unknown key')), 5);
+}
+function plain(x) {
+    return [1, 2].map(function (i) { return Promise.resolve(i + x); }).length;
+}
+function fetch(x, respond) {
+    if (x > 3) { respond(null, x); }
+}
+function scale(list, fn) {
+    return list.map(x => fn(x));
+}
+module.exports = { check, later, lookup, plain, fetch, scale };
@@ -0,0 +1,29 @@
+function pick(mode, flag, label) {
+    switch (mode) {
+        case 'fast': return 1;
+        case 'slow': return 2;
+    }
+    var name = label || 'none';
+    return flag ? name : name.length;
+}
+
+function countdown(n) {
+    var steps = 0;
+    while (n > 0) { n--; steps++; }
+    return steps;
+}
+
+function total(list) {
+    var sum = 0;
+    for (var i = 0; i < list.length; i++) { sum += list[i]; }
+    return sum;
+}
+
+function level(code) {
+    switch (code.trim()) {
+        case 'a': return 'first';
+        default: return 'other';
+    }
+}
+
+module.exports = { pick: pick, countdown: countdown, total: total, level: level };
@@ -0,0 +1,16 @@
+function check(code) {
+    if (/^[A-Z]{3}$/.test(code)) { return 'code'; }
+    if (code === 'none') { return 'none'; }
+    return 'other';
+}
+
+function lookup(input) {
+    return check(input.trim());
+}
+
+function route(value, fallback) {
+    var key = value;
+    return lookup(key) || fallback;
+}
+
+module.exports = { route: route };
@@ -0,0 +1,7 @@
+var clamp = require("./clamp.js").clamp;
+
+describe("clamp", () => {
+  test("clamps values above 10", () => {
+    expect(clamp(20)).toBe(10);
+  });
+});
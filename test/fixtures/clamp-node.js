@@ -0,0 +1,13 @@
+const { describe, it } = require('node:test');
+var assert = require("assert");
+var clamp = require("./clamp.js").clamp;
+
+describe("clamp", function() {
+  it("clamps values above 10", function() {
+    assert.equal(clamp(20), 10);
+  });
+
+  it("keeps values up to 10", function() {
+    assert.equal(clamp(5), 5);
+  });
+});
@@ -0,0 +1,5 @@
+var assert = require("assert");
+var clamp = require("./clamp.js").clamp;
+
+assert.equal(clamp(20), 10);
+assert.equal(clamp(5), 5);
@@ -0,0 +1,8 @@
+function clamp(x) {
+    if (x > 10) {
+        return 10;
+    }
+    return x;
+}
+
+module.exports = { clamp: clamp };
@@ -0,0 +1,14 @@
+class Counter {
+    constructor(start, label) {
+        if (start < 0) { throw new RangeError('negative start'); }
+        this.count = start || 0;
+        this.state = 'idle';
+    }
+    add(step) { this.count += step; this.state = 'busy'; return this.count; }
+    report(limit) {
+        if (this.state === 'busy' && this.count > limit) { return 'over'; }
+        if (this.count > 10) { return 'high'; }
+        return 'low';
+    }
+}
+module.exports.Counter = Counter;
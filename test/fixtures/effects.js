@@ -0,0 +1,16 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function record(count) {
+    if (count < 0) {
+        throw new RangeError('negative count');
+    }
+    fs.writeFileSync(path.join(os.tmpdir(), 'effects-record.txt'), String(count));
+}
+
+function log(count) {
+    fs.writeFileSync(path.join(os.tmpdir(), 'effects-log.txt'), String(count));
+}
+
+module.exports = { record: record, log: log };
@@ -0,0 +1,25 @@
+const fs = require('fs');
+
+function size(filePath) {
+    if( !fs.existsSync(filePath) ) {
+        return -1;
+    }
+    let stats = fs.statSync(filePath);
+    if( stats.isDirectory() ) {
+        return 0;
+    }
+    return stats.size;
+}
+
+function replace(filePath, content) {
+    if( fs.existsSync(filePath) ) {
+        fs.unlinkSync(filePath);
+    }
+    fs.writeFileSync(filePath, content);
+}
+
+function load(filePath) {
+    return fs.promises.readFile(filePath, 'utf8');
+}
+
+module.exports = { size: size, replace: replace, load: load };
@@ -0,0 +1,8 @@
+function grade(score) {
+    if (score > 50) {
+        return 'pass';
+    }
+    return 'retry';
+}
+
+module.exports = { grade: grade };
@@ -0,0 +1,13 @@
+function describe(value) {
+    if (value == null) { return 'nothing'; }
+    if (typeof value === 'string') { return 'string'; }
+    if (typeof value === 'number') { return isNaN(value) ? 'NaN' : 'number'; }
+    if (typeof value === 'boolean') { return 'boolean'; }
+    if (typeof value === 'function') { return 'function'; }
+    if (Array.isArray(value)) { return 'array'; }
+    if (value instanceof Date) { return 'date'; }
+    if (Buffer.isBuffer(value)) { return 'buffer'; }
+    return 'object';
+}
+
+module.exports.describe = describe;
@@ -0,0 +1,14 @@
+function parse(version) {
+    var match = version.match(/^v?(\d)\.(\d)(-(alpha|beta))?$/);
+    if (!match) { return null; }
+    if (match[4] === 'beta') { return 'beta'; }
+    if (match[3]) { return 'prerelease'; }
+    return 'release';
+}
+
+function isKey(key) {
+    var pattern = new RegExp('^[a-z]+_[0-9]$', 'i');
+    return pattern.test(key);
+}
+
+module.exports = { parse: parse, isKey: isKey };
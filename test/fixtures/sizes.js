@@ -0,0 +1,25 @@
+const fs = require('fs');
+
+function count(list) {
+    if (list.length === 0) { return 'none'; }
+    if (list.length > 2) { return 'many'; }
+    return list.map(x => x).length;
+}
+
+function fields(line) {
+    var parts = line.split(',');
+    if (parts.length == 3) { return 'row'; }
+    return 'other';
+}
+
+function listing(dir) {
+    var files = fs.readdirSync(dir);
+    if (files.length > 2) { return 'full'; }
+    return files.length;
+}
+
+function empty(options) {
+    return Object.keys(options).length == 0;
+}
+
+module.exports = { count: count, fields: fields, listing: listing, empty: empty };
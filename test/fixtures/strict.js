@@ -0,0 +1,11 @@
+'use strict'
+
+function tally(n) {
+    count = n;
+    if (n > 5) {
+        return 'many';
+    }
+    return 'few';
+}
+
+module.exports = { tally: tally };
@@ -0,0 +1,12 @@
+function classify(name) {
+    if (name.indexOf('@') > 2) { return 'email'; }
+    if (name.trim().toLowerCase().startsWith('dr')) { return 'doctor'; }
+    if (name.endsWith('.js')) { return 'script'; }
+    if (name.includes(' ')) { return 'words'; }
+    if (name.charAt(1) === 'x' || name[0] === '#') { return 'marked'; }
+    if (name.substring(1, 3) == 'ab') { return 'ab'; }
+    if (name.indexOf(name) === 0 && name.localeCompare('m') < 0) { return 'early'; }
+    return 'other';
+}
+
+module.exports.classify = classify;
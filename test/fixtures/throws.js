@@ -0,0 +1,24 @@
+class LimitError extends Error {}
+
+function withdraw(balance, amount) {
+    if (amount > balance) {
+        throw new RangeError('insufficient funds');
+    }
+    if (amount < 0) {
+        throw new LimitError(`negative amount ${amount}`);
+    }
+    return balance - amount;
+}
+
+function checked(amount, balance) {
+    return withdraw(balance, amount);
+}
+
+function label(options) {
+    if (options.verbose) {
+        return 'verbose';
+    }
+    return 'quiet';
+}
+
+module.exports = { LimitError: LimitError, withdraw: withdraw, checked: checked, label: label };
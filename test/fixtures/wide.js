@@ -0,0 +1,29 @@
+function tariff(zone, a, b, c, d, e, f, g) {
+    if (zone > 1 && zone < 1) {
+        throw new RangeError('unreachable');
+    }
+    if (a === 1 || a === 2 || a === 3 || a === 4 || a === 5) {
+        return 'a';
+    }
+    if (b === 1 || b === 2 || b === 3 || b === 4 || b === 5) {
+        return 'b';
+    }
+    if (c === 1 || c === 2 || c === 3 || c === 4 || c === 5) {
+        return 'c';
+    }
+    if (d === 1 || d === 2 || d === 3 || d === 4 || d === 5) {
+        return 'd';
+    }
+    if (e === 1 || e === 2 || e === 3 || e === 4 || e === 5) {
+        return 'e';
+    }
+    if (f === 1 || f === 2 || f === 3 || f === 4 || f === 5) {
+        return 'f';
+    }
+    if (g === 1 || g === 2 || g === 3 || g === 4 || g === 5) {
+        return 'g';
+    }
+    return 'none';
+}
+
+module.exports = { tariff: tariff };
@@ -0,0 +1,12 @@
+function band(x) {
+    if (x <= 3) {
+        return 'small';
+    }
+    return 'large';
+}
+
+function price(y) {
+    return band(y) + 1;
+}
+
+module.exports = { price: price };
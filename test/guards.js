@@ -0,0 +1,22 @@
+var chai    = require("chai");
+var assert = chai.assert;
+var path = require("path");
+var constraints = require("../src/constraint.js");
+var helpers = require("./helpers.js");
+
+describe("Type guards", function() {
+  var filePath = path.join(__dirname, "fixtures", "guards.js");
+  var functionConstraints = constraints(filePath);
+
+  it("generates values of each guarded type and of another", function() {
+    var values = functionConstraints.describe.constraints.value.map(function(c) { return c.value; });
+    assert.includeMembers(values, ["null", "undefined", "0", "'text'", "1", "NaN", "true", "() => {}", "[1]",
+                                   "new Date(0)", "Buffer.from('buffer')", "'buffer'"]);
+  });
+
+  it("reaches the branch of every guard", function() {
+    var outcomes = helpers.outcomesOf(filePath, functionConstraints);
+    assert.sameMembers(outcomes.filter(function(o, i) { return outcomes.indexOf(o) === i; }),
+                       ["nothing", "string", "NaN", "number", "boolean", "function", "array", "date", "buffer", "object"]);
+  });
+});
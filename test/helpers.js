@@ -0,0 +1,31 @@
+var oracle = require("../src/oracle.js");
+var generateCases = require("../src/testgenerator.js").generateCases;
+
+/**
+ * The cases generated for the functions of a module, only those of `funcName` when given.
+ */
+function casesOf(functionConstraints, funcName, options) {
+  return generateCases(functionConstraints, options).filter(function(c) {
+    return !funcName || c.funcName === funcName;
+  });
+}
+
+/**
+ * The values returned by calling the module at `filePath` with each of its cases, only
+ * those of `funcName` when given.
+ */
+function outcomesOf(filePath, functionConstraints, funcName, options) {
+  var subject = require(filePath);
+  return casesOf(functionConstraints, funcName, options).map(function(c) {
+    return oracle.observe(subject, c.accessor, c.args, c.mockSetup).value;
+  });
+}
+
+/**
+ * The values generated for parameter `param` of `funcName`, as source.
+ */
+function valuesOf(functionConstraints, funcName, param) {
+  return functionConstraints[funcName].constraints[param].map(function(c) { return String(c.value); });
+}
+
+module.exports = { casesOf: casesOf, outcomesOf: outcomesOf, valuesOf: valuesOf };
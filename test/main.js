@@ -1,12 +1,128 @@
 var chai    = require("chai");
 var assert = chai.assert,
     expect = chai.expect;
+var childProcess = require("child_process");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var vm = require("vm");
 var main = require("../main.js");
 
 describe("Sanity check", function() {
   describe("runs", function() {
     it("doesn't crash", function() {
-       main.main()
+       var out = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "tests-")), "test.js");
+       main.main(["--out", out, "--seed", "1"]);
+       assert.isTrue(fs.existsSync(out));
     });
   });
 });
+
+describe("Library", function() {
+  var fixture = path.join(__dirname, "fixtures", "throws.js");
+
+  it("extracts constraints from a path or from source", function() {
+    assert.include(Object.keys(main.extractConstraints(fixture)), "withdraw");
+    var fromSource = main.extractConstraints("function twice(n) {\n  return n > 2 ? n : 0;\n}\nmodule.exports = { twice: twice };\n");
+    assert.deepEqual(Object.keys(fromSource), ["twice"]);
+    assert.throws(function() { main.generateTests(fromSource); }, /path of the module under test/);
+    assert.throws(function() { main.extractConstraints("function (\n"); }, /cannot parse source: line 1/);
+  });
+
+  it("generates tests without writing them, and writes them when asked", function() {
+    var source = main.generateTests(main.extractConstraints(fixture), { functions: ["withdraw"], format: "mocha" });
+    assert.include(source, "assert.throws(() => subject.withdraw(-1, 0), RangeError, \"insufficient funds\");");
+    assert.notInclude(source, "subject.label");
+
+    var out = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "tests-")), "withdraw.test.js");
+    assert.equal(main.writeTests(source, out), out);
+    assert.equal(fs.readFileSync(out, "utf8"), source);
+  });
+
+  it("requires the subject relative to the test file", function() {
+    var constraints = main.extractConstraints(fixture);
+    assert.include(main.generateTests(constraints, { out: path.join(__dirname, "throws.test.js") }), "let subject = require(\"./fixtures/throws.js\")\n");
+    assert.include(main.generateTests(constraints, { out: path.join(__dirname, "generated", "throws.test.js") }), "let subject = require(\"../fixtures/throws.js\")\n");
+  });
+
+  it("generates the same tests again from the seed recorded in them", function() {
+    var patterns = path.join(__dirname, "fixtures", "patterns.js");
+    var first = main.generateTests(main.extractConstraints(patterns));
+    var seed = Number(/^\/\/ Generated with --seed (\d+)\n/.exec(first)[1]);
+    assert.equal(main.generateTests(main.extractConstraints(patterns, { seed: seed })), first);
+    assert.equal(main.generateTests(main.extractConstraints(patterns), { seed: seed }).split("\n")[0], "// Generated with --seed " + seed);
+  });
+});
+
+describe("Formats", function() {
+  var files = path.join(__dirname, "fixtures", "files.js");
+
+  it("groups the tests of each function, and the mocked ones by file system", function() {
+    var source = main.generateTests(main.extractConstraints(files), { format: "jest" });
+    assert.include(source, "describe(\"size\", () => {\n\tdescribe(\"empty file system\", () => {\n");
+    assert.include(source, "\t\tbeforeEach(() => { mock({}); });\n\t\tafterEach(() => { mock.restore(); });\n");
+    assert.include(source, "test(\"size: filePath = \\\"filePath-missing\\\"\", () => {");
+    assert.notInclude(source, "require('node:test')");
+  });
+
+  it("requires the runner's functions for node:test, and takes a template function", function() {
+    var constraints = main.extractConstraints(files);
+    assert.include(main.generateTests(constraints, { format: "node" }), "const { describe, it, beforeEach, afterEach } = require('node:test');");
+    var source = main.generateTests(constraints, { format: function(suite) { return suite.groups.map(function(g) { return g.funcName; }).join(","); } });
+    assert.match(source, /\nsize,replace,load$/);
+    assert.throws(function() { main.generateTests(constraints, { format: "xml" }); }, /unknown format 'xml'/);
+  });
+});
+
+describe("Command line", function() {
+  var fixture = path.join(__dirname, "fixtures", "throws.js");
+
+  function run(args) {
+    return childProcess.spawnSync(process.execPath, [path.join(__dirname, "..", "main.js")].concat(args), { encoding: "utf8" });
+  }
+
+  it("prints the tests of the functions asked for", function() {
+    var result = run([fixture, "--functions", "withdraw", "--max-cases-per-function", "1", "--format", "mocha", "--dry-run"]);
+    assert.equal(result.status, 0);
+    assert.include(result.stdout, "describe(\"withdraw\", () => {");
+    assert.include(result.stdout, "it(\"withdraw: amount > balance\", () => {");
+    assert.notInclude(result.stdout, "subject.withdraw(-1, -1)");
+    assert.notInclude(result.stdout, "subject.label");
+  });
+
+  it("names tests after the conditions their arguments meet", function() {
+    var result = run([path.join(__dirname, "..", "subject.js"), "--functions", "inc,weird", "--seed", "1", "--format", "mocha", "--dry-run"]);
+    assert.equal(result.status, 0);
+    assert.include(result.stdout, "it(\"inc: p >= 0, q != undefined\", () => {");
+    assert.include(result.stdout, "it(\"weird: x <= 7, y < 0, z < 42, mode.indexOf(\\\"werw\\\") == 3\", () => {");
+    assert.include(result.stdout, "it(\"weird: x > 7, y >= 0, z >= 42, mode other than \\\"strict\\\"\", () => {");
+  });
+
+  it("prints only the test file on a dry run, and the reports to stderr", function() {
+    var result = run([fixture, "--functions", "label", "--snapshot", "--dry-run"]);
+    assert.equal(result.status, 0);
+    assert.doesNotThrow(function() { new vm.Script(result.stdout); });
+    assert.notInclude(result.stdout, "Probable bugs");
+    assert.include(result.stderr, "Probable bugs: 1");
+  });
+
+  it("prints the constraints as JSON", function() {
+    var dumped = JSON.parse(run([fixture, "--functions", "label", "--dump-constraints"]).stdout);
+    assert.deepEqual(Object.keys(dumped), ["label"]);
+    assert.include(dumped.label.options.map(function(c) { return c.value; }), "{\"verbose\": true}");
+  });
+
+  it("explains missing and unparsable input files, and unwritable output files", function() {
+    var missing = run([path.join(__dirname, "fixtures", "missing.js")]);
+    assert.equal(missing.status, 1);
+    assert.include(missing.stderr, "missing.js does not exist");
+    var unparsable = run([path.join(__dirname, "..", "README.md")]);
+    assert.equal(unparsable.status, 1);
+    assert.include(unparsable.stderr, "cannot parse");
+    assert.include(run(["--format", "xml"]).stderr, "unknown format 'xml'");
+
+    var unwritable = run([fixture, "--out", path.join(__dirname, "fixtures", "missing", "test.js")]);
+    assert.equal(unwritable.status, 1);
+    assert.include(unwritable.stderr, "Error: cannot write " + path.join(__dirname, "fixtures", "missing", "test.js") + ": ENOENT");
+  });
+});
@@ -0,0 +1,64 @@
+var chai    = require("chai");
+var assert = chai.assert;
+var esprima = require("esprima");
+var path = require("path");
+var mutation = require("../src/mutation.js");
+
+describe("Mutation engine", function() {
+  var mutants = mutation.generateMutants(path.join(__dirname, "..", "subject.js"));
+
+  it("applies each operator class", function() {
+    var find = function(operator, funcName, replacement) {
+      return mutants.filter(function(m) {
+        return m.operator === operator && m.funcName === funcName && m.replacement === replacement;
+      });
+    };
+    assert.lengthOf(find("relational", "weird", "x >= 7"), 1);
+    assert.lengthOf(find("logical", "weird", "x > 7 || y < 0"), 1);
+    assert.lengthOf(find("constant", "weird", "\"strict_mutant\""), 2);
+    assert.lengthOf(find("member-name", "format", "options.normalize_mutant"), 1);
+  });
+
+  it("leaves module names and called methods alone", function() {
+    mutants.forEach(function(m) {
+      assert.notInclude(m.original, "require");
+      assert.notInclude(m.replacement, "indexOf_mutant");
+    });
+  });
+
+  it("produces parseable sources", function() {
+    mutants.forEach(function(m) {
+      esprima.parse(m.source);
+    });
+  });
+});
+
+describe("Mutation runner", function() {
+  this.timeout(20000);
+
+  it("scores a test file by the mutants it kills", function() {
+    var report = mutation.runMutants(path.join(__dirname, "fixtures", "clamp.js"), path.join(__dirname, "fixtures", "clamp-test.js"));
+    var ids = function(mutants) { return mutants.map(function(m) { return m.id; }); };
+
+    // Values above 10 are clamped to 10, but nothing checks the boundary.
+    assert.deepEqual(ids(report.functions.clamp.killed), [2, 5, 6]);
+    assert.deepEqual(ids(report.functions.clamp.survived), [1, 3, 4]);
+    assert.equal(report.killed, 3);
+    assert.equal(report.total, 6);
+    assert.equal(report.score, 0.5);
+  });
+
+  it("runs mocha and node:test suites with their runner", function() {
+    ["clamp-mocha.js", "clamp-node.js"].forEach(function(name) {
+      var report = mutation.runMutants(path.join(__dirname, "fixtures", "clamp.js"), path.join(__dirname, "fixtures", name));
+      assert.equal(report.killed, 3, name);
+      assert.equal(report.total, 6, name);
+    });
+  });
+
+  it("refuses Jest suites, which would not load the mutant", function() {
+    assert.throws(function() {
+      mutation.runMutants(path.join(__dirname, "fixtures", "clamp.js"), path.join(__dirname, "fixtures", "clamp-jest.js"));
+    }, /clamp-jest.js is a Jest suite, which cannot be scored/);
+  });
+});
@@ -0,0 +1,36 @@
+var chai    = require("chai");
+var assert = chai.assert;
+var path = require("path");
+var constraints = require("../src/constraint.js");
+
+describe("Path enumeration", function() {
+  var functionConstraints = constraints(path.join(__dirname, "..", "subject.js"));
+
+  function describePath(p) {
+    return p.conditions.map(function(c) { return (c.outcome ? "" : "!") + c.expression; }).join(" ; ");
+  }
+
+  it("splits && conditions and follows early returns", function() {
+    var paths = functionConstraints.weird.paths.map(describePath);
+    assert.include(paths, "x > 7 ; y < 0");
+    assert.include(paths, "x > 7 ; !y < 0 ; !z < 42 ; mode != \"strict\"");
+    assert.include(paths, "!x > 7 ; z < 42 ; mode == \"strict\"");
+    assert.notInclude(paths, "x > 7 ; y < 0 ; z < 42");
+  });
+
+  it("expresses conditions over the parameters through assignments", function() {
+    var tests = [];
+    functionConstraints.format.paths.forEach(function(p) {
+      p.conditions.forEach(function(c) { if (c.expression === "i < l") tests.push(c.test); });
+    });
+    // phoneNumber is only left as passed in when options.normalize is set.
+    assert.include(tests, "(0 < phoneNumber.length)");
+    assert.include(tests, null);
+  });
+
+  it("marks conditions depending on other modules as undecidable", function() {
+    functionConstraints.fileTest.paths.forEach(function(p) {
+      p.conditions.forEach(function(c) { assert.isNull(c.test); });
+    });
+  });
+});
@@ -0,0 +1,26 @@
+var chai    = require("chai");
+var assert = chai.assert;
+var path = require("path");
+var constraints = require("../src/constraint.js");
+var oracle = require("../src/oracle.js");
+var helpers = require("./helpers.js");
+
+describe("Regular expression constraints", function() {
+  var filePath = path.join(__dirname, "fixtures", "patterns.js");
+  var functionConstraints = constraints(filePath);
+
+  function valuesOf(funcName, param) {
+    return helpers.valuesOf(functionConstraints, funcName, param).map(function(value) { return oracle.argumentValues(value)[0]; });
+  }
+
+  it("generates matches and near misses", function() {
+    var values = valuesOf("isKey", "key");
+    assert.isTrue(values.some(function(v) { return /^[a-z]+_[0-9]$/i.test(v); }));
+    assert.isTrue(values.some(function(v) { return !/^[a-z]+_[0-9]$/i.test(v); }));
+  });
+
+  it("exercises each capture group", function() {
+    var outcomes = helpers.outcomesOf(filePath, functionConstraints, "parse");
+    assert.includeMembers(outcomes, [null, "beta", "prerelease", "release"]);
+  });
+});
@@ -0,0 +1,36 @@
+var chai    = require("chai");
+var assert = chai.assert;
+var path = require("path");
+var constraints = require("../src/constraint.js");
+var shapes = require("../src/shapes.js");
+
+describe("Option bag shapes", function() {
+
+  function shapesOf(source) {
+    var node = constraints.parse(source).body[0];
+    return shapes(node, node.params.map(function(p, i) { return p.type === "Identifier" ? p.name : "arg" + i; }));
+  }
+
+  it("covers each property missing, falsy and truthy", function() {
+    var functionConstraints = constraints(path.join(__dirname, "..", "subject.js"));
+    var values = functionConstraints.format.constraints.options.map(function(c) { return c.value; });
+    assert.sameMembers(values, ["undefined", "{\"normalize\": true}", "{}", "{\"normalize\": false}"]);
+    assert.notProperty(shapesOf("function f(s) { return s.replace('a', 'b').length; }"), "s");
+  });
+
+  it("follows nested paths, in, hasOwnProperty and destructuring", function() {
+    var found = shapesOf("function f(opts, { x: { y } }) { var o = opts || {}; var { depth } = o.level;" +
+                         " if ('strict' in o && opts.hasOwnProperty('extra')) {} }");
+    assert.deepInclude(found.opts, { strict: true, extra: true, level: { depth: true } });
+    assert.deepInclude(found.opts, { strict: true, extra: true, level: {} });
+    assert.deepInclude(found.opts, { extra: true, level: { depth: true } });
+    assert.deepInclude(found.arg1, { x: { y: false } });
+  });
+
+  it("sets properties to each compared constant", function() {
+    var found = shapesOf("function f(opts) { return opts.mode === 'fast' || opts.depth > 3; }");
+    assert.deepInclude(found.opts, { mode: "fast", depth: 2 });
+    assert.deepInclude(found.opts, { mode: "fast", depth: 4 });
+    assert.deepInclude(found.opts, { mode: false, depth: 2 });
+  });
+});
@@ -0,0 +1,26 @@
+var chai    = require("chai");
+var assert = chai.assert;
+var path = require("path");
+var constraints = require("../src/constraint.js");
+var helpers = require("./helpers.js");
+
+describe("Length and size constraints", function() {
+  var filePath = path.join(__dirname, "fixtures", "sizes.js");
+  var functionConstraints = constraints(filePath);
+
+  var valuesOf = helpers.valuesOf.bind(null, functionConstraints);
+
+  it("generates arrays, split strings and objects of each size on the boundary", function() {
+    assert.sameMembers(valuesOf("count", "list"), ["[]", "[1]", "[1, 2]", "[1, 2, 3]"]);
+    assert.sameMembers(valuesOf("fields", "line"), ["\"a\"", "\"a,a\"", "\"a,a,a\"", "\"a,a,a,a\""]);
+    assert.sameMembers(valuesOf("empty", "options"), ["{}", "{\"key0\": 0}"]);
+  });
+
+  it("mocks directories and files of each size", function() {
+    var outcomes = helpers.outcomesOf(filePath, functionConstraints, "listing");
+    assert.includeMembers(outcomes, [0, 1, 2, "full"]);
+
+    var file = constraints(path.join(__dirname, "..", "subject.js")).fileTest.constraints.filePath;
+    assert.includeDeepMembers(file.map(function(c) { return [c.value, c.mock]; }), [["'filePath-size1'", "mock.file({ content: 'a' })"]]);
+  });
+});
@@ -0,0 +1,47 @@
+var chai    = require("chai");
+var assert = chai.assert;
+var childProcess = require("child_process");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var constraints = require("../src/constraint.js");
+var generateTestCases = require("../src/testgenerator.js");
+
+describe("Snapshot mode", function() {
+  this.timeout(10000);
+
+  function run(out) {
+    return childProcess.spawnSync(process.execPath, [out], {
+      encoding: "utf8",
+      env: Object.assign({}, process.env, { NODE_PATH: path.join(__dirname, "..", "node_modules") })
+    });
+  }
+
+  it("asserts the values returned and the errors thrown by each call", function() {
+    var filePath = path.join(__dirname, "fixtures", "throws.js");
+    var source = generateTestCases(filePath, constraints(filePath), { snapshot: true }).source;
+    assert.include(source, "let assert = require('chai').assert;");
+    assert.include(source, "assert.deepEqual(subject.withdraw(0, 0), 0);");
+    assert.include(source, "assert.throws(() => subject.withdraw(-1, 0), RangeError, \"insufficient funds\");");
+    assert.include(source, "assert.deepEqual(subject.label({}), \"quiet\");");
+  });
+
+  it("generates a suite which passes, then fails once the subject's behavior changes", function() {
+    var dir = fs.mkdtempSync(path.join(os.tmpdir(), "tests-"));
+    var filePath = path.join(dir, "grades.js");
+    var out = path.join(dir, "test.js");
+    fs.copyFileSync(path.join(__dirname, "fixtures", "grades.js"), filePath);
+
+    var source = generateTestCases(filePath, constraints(filePath), { snapshot: true, out: out }).source;
+    assert.include(source, "assert.deepEqual(subject.grade(51), \"pass\");");
+    assert.include(source, "assert.deepEqual(subject.grade(50), \"fail\");");
+    fs.writeFileSync(out, source);
+    assert.equal(run(out).status, 0);
+
+    fs.copyFileSync(path.join(__dirname, "fixtures", "grades-changed.js"), filePath);
+    var changed = run(out);
+    assert.notEqual(changed.status, 0);
+    assert.include(changed.stderr, "AssertionError");
+    assert.include(changed.stderr, "retry");
+  });
+});
@@ -0,0 +1,41 @@
+var chai    = require("chai");
+var assert = chai.assert;
+var solver = require("../src/solver.js");
+
+describe("Constraint solver", function() {
+  function solve(params, conditions) {
+    return solver.solve(params, conditions.map(function(c) { return { test: c[0], outcome: c[1] }; }));
+  }
+
+  it("solves comparisons on the boundary, either way round", function() {
+    assert.deepEqual(solve(["x"], [["x > 7", true]]).values, { x: 8 });
+    assert.deepEqual(solve(["x"], [["x > 7", false]]).values, { x: 7 });
+    assert.deepEqual(solve(["x"], [["7 <= x", true]]).values, { x: 7 });
+  });
+
+  it("solves floats, several parameters and arithmetic", function() {
+    assert.deepEqual(solve(["x"], [["x < 2.5", true]]).values, { x: 1.5 });
+    var values = solve(["x", "y"], [["x > y", true]]).values;
+    assert.isAbove(values.x, values.y);
+    values = solve(["p", "q"], [["p + q > 10", false], ["p > 20", true]]).values;
+    assert.isAtMost(values.p + values.q, 10);
+    assert.isAbove(values.p, 20);
+  });
+
+  it("solves string equality and disequality", function() {
+    assert.deepEqual(solve(["mode"], [["mode == \"strict\"", true]]).values, { mode: "strict" });
+    assert.notEqual(solve(["mode"], [["mode == \"strict\"", false]]).values.mode, "strict");
+  });
+
+  it("reports infeasible paths", function() {
+    assert.isFalse(solve(["x"], [["x > 7", true], ["x < 8", true]]).feasible);
+    assert.isFalse(solve(["x"], [["x > 7", true], ["x < 9", true], ["x != 8", true]]).feasible);
+    assert.isFalse(solve(["mode"], [["mode == \"a\"", true], ["mode == \"b\"", true]]).feasible);
+  });
+
+  it("leaves other conditions to the caller", function() {
+    var result = solve(["mode"], [["mode.indexOf(\"werw\") == 3", true]]);
+    assert.isTrue(result.feasible);
+    assert.lengthOf(result.unsupported, 1);
+  });
+});
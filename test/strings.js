@@ -0,0 +1,35 @@
+var chai    = require("chai");
+var assert = chai.assert;
+var path = require("path");
+var constraints = require("../src/constraint.js");
+var stringValues = require("../src/strings.js");
+var helpers = require("./helpers.js");
+
+describe("String method constraints", function() {
+  var filePath = path.join(__dirname, "fixtures", "strings.js");
+  var functionConstraints = constraints(filePath);
+
+  it("generates strings passing and failing each check", function() {
+    var values = functionConstraints.classify.constraints.name.map(function(c) { return c.value; });
+    // indexOf('@') > 2: absent, at the start, and around position 2.
+    assert.includeMembers(values, ["\"aaa\"", "\"@\"", "\"aa@\"", "\"aaa@\""]);
+    // trim().toLowerCase().startsWith('dr'): padded and upper-cased too.
+    assert.includeMembers(values, ["\"dra\"", "\" DRA \"", "\"adr\""]);
+    assert.includeMembers(values, ["\"a.js\"", "\".jsa\"", "\"xabx\"", "\"xxbx\"", "\"m\"", "\"ma\""]);
+  });
+
+  it("reaches the branch of every check", function() {
+    var outcomes = helpers.outcomesOf(filePath, functionConstraints);
+    assert.includeMembers(outcomes, ["email", "doctor", "script", "words", "marked", "ab", "early", "other"]);
+  });
+
+  it("leaves checks with computed arguments alone", function() {
+    var source = "function f(a, b) { return a.indexOf(b) == -1 || a.startsWith(b.trim()); }";
+    var node = constraints.parse(source).body[0];
+    var found = [];
+    constraints.traverse(node, function(child, parent) {
+      found.push(stringValues(child, parent, ["a", "b"]));
+    });
+    assert.deepEqual(found.filter(Boolean), []);
+  });
+});
@@ -0,0 +1,66 @@
+var chai    = require("chai");
+var assert = chai.assert;
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var constraints = require("../src/constraint.js");
+var generateTestCases = require("../src/testgenerator.js");
+
+describe("Throw statements", function() {
+  var filePath = path.join(__dirname, "fixtures", "throws.js");
+  var functionConstraints = constraints(filePath);
+
+  function generate() {
+    var report = generateTestCases(filePath, functionConstraints);
+    return { report: report, content: report.source };
+  }
+
+  it("finds the throws of a function and the conditions guarding them", function() {
+    var sites = functionConstraints.withdraw.throws;
+    assert.deepEqual(sites.map(function(s) { return s.name; }), ["RangeError", "LimitError"]);
+    assert.deepEqual(sites[0].guards, [[{ expression: "amount > balance", outcome: true }]]);
+    assert.isTrue(sites[1].message.test("negative amount -5"));
+  });
+
+  it("asserts the type and message of the errors thrown on purpose", function() {
+    var content = generate().content;
+    assert.include(content, "assert.throws(() => subject.withdraw(-1, 0), RangeError, \"insufficient funds\");");
+    assert.include(content, "subject.LimitError, \"negative amount");
+    assert.include(content, "assert.throws(() => subject.checked(");
+  });
+
+  it("reports other errors as probable bugs", function() {
+    var report = generateTestCases(filePath, functionConstraints, { snapshot: true });
+    var generated = { report: report, content: report.source };
+    assert.deepEqual(generated.report.bugs.map(function(b) { return b.call; }), ["subject.label(undefined)"]);
+    assert.equal(generated.report.bugs[0].error.name, "TypeError");
+    assert.include(generated.content, "// Probable bug: TypeError");
+  });
+
+  it("only runs the functions with throw statements outside snapshot mode", function() {
+    assert.deepEqual(generate().report.bugs, []);
+  });
+
+  it("runs calls on a mock file system, never the real one", function() {
+    var effects = path.join(__dirname, "fixtures", "effects.js");
+    var written = ["effects-record.txt", "effects-log.txt"].map(function(name) { return path.join(os.tmpdir(), name); });
+    written.forEach(function(file) { if (fs.existsSync(file)) fs.unlinkSync(file); });
+
+    var content = generateTestCases(effects, constraints(effects)).source;
+    assert.include(content, "assert.throws(() => subject.record(-1), RangeError, \"negative count\");");
+    generateTestCases(effects, constraints(effects), { snapshot: true });
+    written.forEach(function(file) { assert.isFalse(fs.existsSync(file), file); });
+  });
+});
+
+describe("Throw statements out of reach", function() {
+  this.timeout(20000);
+
+  it("tries a bounded number of calls without building every combination", function() {
+    // 4 * 10^7 argument combinations.
+    var filePath = path.join(__dirname, "fixtures", "wide.js");
+    var report = generateTestCases(filePath, constraints(filePath));
+    assert.notInclude(report.source, "RangeError");
+    assert.include(report.source, "subject.tariff(");
+  });
+});